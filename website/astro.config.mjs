@@ -1,10 +1,14 @@
 import { defineConfig } from 'astro/config';
 import tailwind from '@astrojs/tailwind';
+import rehypeSkillLinks from './scripts/lib/rehype-skill-links.mjs';
 
 export default defineConfig({
   site: 'https://www.llmspec.dev',
   base: '/',
   integrations: [tailwind()],
+  markdown: {
+    rehypePlugins: [rehypeSkillLinks]
+  },
   build: {
     assets: '_assets'
   }
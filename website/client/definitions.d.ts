@@ -0,0 +1,123 @@
+/**
+ * Types for https://www.llmspec.dev/definitions/definitions.json.
+ *
+ * Generated by build-definitions.mjs from /definitions/schema.json. Do not edit.
+ */
+
+/** LLMSpec Model Definitions Manifest */
+export interface DefinitionsManifest {
+  version: string;
+  generated_at: string;
+  base_url: string;
+  total_providers: number;
+  total_models: number;
+  providers: Provider[];
+}
+
+export interface Provider {
+  id: string;
+  name: string;
+  /** Environment variable names for the API key (and any other required settings). */
+  env: string[];
+  /** AI SDK provider package. */
+  npm: string;
+  doc: string;
+  /** API base URL, when the SDK package needs one. */
+  api?: string;
+  has_logo: boolean;
+  model_count: number;
+  provenance?: Provenance;
+  models: Model[];
+}
+
+export interface Model {
+  id: string;
+  name: string;
+  family?: string;
+  provider: string;
+  release_date: string | null;
+  last_updated: string | null;
+  attachment: boolean;
+  reasoning: boolean;
+  tool_call: boolean;
+  temperature?: boolean;
+  structured_output?: boolean;
+  knowledge?: string;
+  open_weights: boolean;
+  status?: "alpha" | "beta" | "deprecated";
+  lifecycle?: Lifecycle;
+  provenance?: Provenance;
+  description?: string;
+  modalities: {
+    input: string[];
+    output: string[];
+  };
+  limit: {
+    context: number | null;
+    output: number | null;
+    input?: number;
+  };
+  cost?: Cost;
+}
+
+/** When the provider deprecates and retires the model, and what replaces it. */
+export interface Lifecycle {
+  /** Day the provider deprecates the model (YYYY-MM-DD). It keeps serving until retirement. */
+  deprecation_date?: string;
+  /** Day the model stops serving requests (YYYY-MM-DD). */
+  retirement_date?: string;
+  /** Id of the model of the same provider to migrate to. */
+  successor?: string;
+}
+
+/** Which source layer a record and its fields came from. Only present on records an overlay added or patched. */
+export interface Provenance {
+  /** Layer that defined the record: 'upstream' or the name of an overlay directory. */
+  source: string;
+  /** Dotted field paths (e.g. cost.input) set by a later overlay, mapped to that overlay. Other fields come from source. */
+  fields?: {
+    [key: string]: string;
+  };
+}
+
+/** USD per million tokens. Alias keys (cached_input, cached_read, cached_write) are normalized away. */
+export interface CostRates {
+  /** Input (prompt) tokens. */
+  input?: number;
+  /** Output (completion) tokens. */
+  output?: number;
+  /** Prompt-cache hits (cached input tokens). */
+  cache_read?: number;
+  /** Prompt-cache writes. */
+  cache_write?: number;
+  /** Reasoning tokens, when billed separately from output. */
+  reasoning?: number;
+  /** Audio input tokens. */
+  input_audio?: number;
+  /** Audio output tokens. */
+  output_audio?: number;
+  /** Image tokens. */
+  image?: number;
+}
+
+/** Base rates (see cost_rates) plus optional tiered tables. */
+export interface Cost {
+  /** Input (prompt) tokens. */
+  input?: number;
+  /** Output (completion) tokens. */
+  output?: number;
+  /** Prompt-cache hits (cached input tokens). */
+  cache_read?: number;
+  /** Prompt-cache writes. */
+  cache_write?: number;
+  /** Reasoning tokens, when billed separately from output. */
+  reasoning?: number;
+  /** Audio input tokens. */
+  input_audio?: number;
+  /** Audio output tokens. */
+  output_audio?: number;
+  /** Image tokens. */
+  image?: number;
+  /** Rates that apply once the prompt exceeds 200K tokens. */
+  context_over_200k?: CostRates;
+}
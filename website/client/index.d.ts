@@ -0,0 +1,54 @@
+import type { DefinitionsManifest, Model, Provider } from './definitions';
+import type { Group, Skill, SkillsManifest } from './skills';
+
+export type { Cost, CostRates, DefinitionsManifest, Lifecycle, Model, Provenance, Provider } from './definitions';
+export type { Bundle, Group, Skill, SkillsManifest } from './skills';
+
+export declare const DEFAULT_BASE_URL: string;
+
+export interface ClientOptions {
+  /** Site root. Defaults to https://www.llmspec.dev. */
+  baseUrl?: string;
+  /** Defaults to the global fetch. */
+  fetch?: typeof fetch;
+}
+
+/** Fields matched by equality in findModels({ … }). */
+export type ModelQuery = Partial<
+  Pick<
+    Model,
+    | 'id'
+    | 'name'
+    | 'family'
+    | 'provider'
+    | 'attachment'
+    | 'reasoning'
+    | 'tool_call'
+    | 'temperature'
+    | 'structured_output'
+    | 'open_weights'
+    | 'status'
+    | 'knowledge'
+  >
+>;
+
+export type ModelPredicate = (model: Model, provider: Provider) => boolean;
+
+export interface LlmspecClient {
+  getDefinitions(): Promise<DefinitionsManifest>;
+  getSkills(): Promise<SkillsManifest>;
+  /** "<provider>/<model>"; model ids may contain "/". */
+  getModel(ref: string): Promise<Model | undefined>;
+  getModel(providerId: string, modelId: string): Promise<Model | undefined>;
+  findModels(query?: ModelQuery | ModelPredicate): Promise<Model[]>;
+  /** By folder name (e.g. "pptx") or frontmatter name. */
+  getSkill(name: string): Promise<Skill | undefined>;
+  listGroups(): Promise<Group[]>;
+}
+
+export declare function createClient(options?: ClientOptions): LlmspecClient;
+
+export declare const getModel: LlmspecClient['getModel'];
+export declare const findModels: LlmspecClient['findModels'];
+export declare const getSkill: LlmspecClient['getSkill'];
+export declare const listGroups: LlmspecClient['listGroups'];
@@ -0,0 +1,95 @@
+/**
+ * Tiny client for the LLMSPEC manifests (/definitions/definitions.json and
+ * /skills/skills.json). No dependencies; runs anywhere with `fetch`.
+ *
+ * Each manifest is fetched once per client and reused. Types live in index.d.ts,
+ * which builds on the declarations generated from the published JSON Schemas.
+ */
+
+export const DEFAULT_BASE_URL = 'https://www.llmspec.dev';
+
+function skillFolder(skill) {
+  // ZIPs are named after the skill folder (see build-skills.mjs).
+  return String(skill.download_url ?? '')
+    .split('/')
+    .pop()
+    .replace(/\.zip$/i, '');
+}
+
+function matchesQuery(model, query) {
+  return Object.entries(query).every(([key, expected]) => expected === undefined || model[key] === expected);
+}
+
+export function createClient({ baseUrl = DEFAULT_BASE_URL, fetch: fetchImpl = globalThis.fetch } = {}) {
+  if (typeof fetchImpl !== 'function') throw new Error('llmspec client: no fetch implementation available');
+
+  const root = baseUrl.replace(/\/+$/, '');
+  const cache = new Map();
+
+  function load(sitePath) {
+    if (!cache.has(sitePath)) {
+      const pending = (async () => {
+        const res = await fetchImpl(`${root}${sitePath}`);
+        if (!res.ok) throw new Error(`llmspec client: GET ${root}${sitePath} failed (${res.status})`);
+        return res.json();
+      })();
+      // A failed request shouldn't poison the cache.
+      pending.catch(() => cache.delete(sitePath));
+      cache.set(sitePath, pending);
+    }
+    return cache.get(sitePath);
+  }
+
+  const getDefinitions = () => load('/definitions/definitions.json');
+  const getSkills = () => load('/skills/skills.json');
+
+  /**
+   * getModel('anthropic/claude-sonnet-4-5') or getModel('anthropic', 'claude-sonnet-4-5').
+   * Model ids may contain '/', so a single ref splits on the first one only.
+   */
+  async function getModel(providerOrRef, modelId) {
+    let providerId = providerOrRef;
+    if (modelId === undefined) {
+      const slash = providerOrRef.indexOf('/');
+      if (slash <= 0) throw new Error(`llmspec client: expected "<provider>/<model>", got ${JSON.stringify(providerOrRef)}`);
+      providerId = providerOrRef.slice(0, slash);
+      modelId = providerOrRef.slice(slash + 1);
+    }
+    const { providers } = await getDefinitions();
+    return providers.find((p) => p.id === providerId)?.models.find((m) => m.id === modelId);
+  }
+
+  /**
+   * Models across every provider, in manifest order. `query` is either a predicate
+   * `(model, provider) => boolean` or an object of fields that must be equal
+   * (`{ provider: 'openai', reasoning: true }`). No query returns every model.
+   */
+  async function findModels(query = {}) {
+    const { providers } = await getDefinitions();
+    const test = typeof query === 'function' ? query : (model) => matchesQuery(model, query);
+    return providers.flatMap((provider) => provider.models.filter((model) => test(model, provider)));
+  }
+
+  /** A skill by folder name (e.g. "pptx") or frontmatter name. */
+  async function getSkill(name) {
+    const { groups } = await getSkills();
+    const skills = groups.flatMap((group) => group.skills);
+    return skills.find((skill) => skillFolder(skill) === name) ?? skills.find((skill) => skill.name === name);
+  }
+
+  async function listGroups() {
+    const { groups } = await getSkills();
+    return groups;
+  }
+
+  return { getDefinitions, getSkills, getModel, findModels, getSkill, listGroups };
+}
+
+// Module-level shortcuts against https://www.llmspec.dev, sharing one client.
+let defaultClient;
+const client = () => (defaultClient ??= createClient());
+
+export const getModel = (...args) => client().getModel(...args);
+export const findModels = (...args) => client().findModels(...args);
+export const getSkill = (...args) => client().getSkill(...args);
+export const listGroups = (...args) => client().listGroups(...args);
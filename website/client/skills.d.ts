@@ -0,0 +1,77 @@
+/**
+ * Types for https://www.llmspec.dev/skills/skills.json.
+ *
+ * Generated by build-skills.mjs from /skills/schema.json. Do not edit.
+ */
+
+/** LLMSpec Skills Manifest */
+export interface SkillsManifest {
+  version: string;
+  generated_at: string;
+  base_url: string;
+  total_skills: number;
+  groups: Group[];
+  bundles: Bundle[];
+}
+
+export interface Bundle {
+  id: string;
+  name: string;
+  /** catalog: every skill; group: one group; curated: declared in skills/bundles.json. */
+  kind: "catalog" | "group" | "curated";
+  description: string;
+  download_url: string;
+  zip_size_bytes: number;
+  sha256: string;
+  file_count: number;
+  skill_count: number;
+  /** Folder names of the contained skills; each is a top-level folder in the ZIP. */
+  skills: string[];
+}
+
+export interface Group {
+  name: string;
+  slug: string;
+  skill_count: number;
+  skills: Skill[];
+}
+
+export interface Skill {
+  name: string;
+  description: string;
+  group: string;
+  download_url: string;
+  zip_size_bytes: number;
+  /** SHA-256 of the ZIP at download_url (hex). Empty if packaging failed. */
+  sha256: string;
+  /** SHA-256 over the skill's files (paths, modes and contents), independent of how the ZIP was packaged. Changes only when the skill does. Empty if its files could not be read. */
+  content_sha256: string;
+  file_count: number;
+  contents: {
+    has_scripts: boolean;
+    has_references: boolean;
+    has_license: boolean;
+  };
+  license: {
+    /** SPDX id from frontmatter, or detected from the packaged LICENSE file. */
+    spdx: string | null;
+    /** Frontmatter license string, verbatim. */
+    text: string | null;
+    /** Packaged license file, relative to the skill root. */
+    file: string | null;
+  };
+  /** Semver from frontmatter (version or metadata.version); null if undeclared. */
+  version: string | null;
+  /** Declared runtime dependencies: requirements*.txt, package.json and frontmatter. */
+  dependencies: {
+    python: string[];
+    node: string[];
+    other: string[];
+  };
+  /** Script languages detected from packaged file extensions. */
+  languages: string[];
+  tags: string[];
+  author: string | null;
+  /** Free-form environment requirements from frontmatter. */
+  compatibility: string | null;
+}
@@ -6,6 +6,10 @@
  * Context:
  * - Source data lives in <repoRoot>/models.dev/providers (git submodule)
  * - Data format is TOML (provider.toml + models/ recursively-discovered .toml files)
+ * - Optional overlay directories in the same format (--overlay [name=]<dir>,
+ *   repeatable) are merged on top, later ones winning, into an internal manifest
+ *   and catalog under --out (default website/internal/). Everything under public/
+ *   and src/data/ is always built from upstream alone.
  *
  * This script is intentionally pedantic + defensive. It is build infrastructure.
  * It should never hard-crash because one provider/model has a bad file.
@@ -15,7 +19,21 @@ import * as fsp from 'node:fs/promises';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
-import { parse as parseToml } from 'smol-toml';
+import { buildCanonicalModels } from './lib/canonical-models.mjs';
+import {
+  MAX_CHANGELOG_ENTRIES,
+  buildChangelogEntry,
+  describeSummary,
+  diffManifests,
+  isEmptyDiff,
+  renderAtomFeed,
+} from './lib/definitions-changelog.mjs';
+import { renderDefinitionsCsv, renderDefinitionsNdjson, renderDefinitionsSqlite } from './lib/definitions-exports.mjs';
+import { renderProvidersModule } from './lib/providers-module.mjs';
+import { renderSchemaDeclarations } from './lib/schema-to-dts.mjs';
+import { loadProvidersFromToml, resolveOverlayDirs } from './lib/definitions-source.mjs';
+import { DEFAULT_RETIRING_WINDOW_DAYS, buildRetiringModels } from './lib/model-lifecycle.mjs';
+import { assertMatchesSchema } from './lib/json-schema.mjs';
 
 const VERSION = '1.0.0';
 const BASE_URL = 'https://www.llmspec.dev';
@@ -23,8 +41,6 @@ const BASE_URL = 'https://www.llmspec.dev';
 // If models ever gain a description field, we keep the public manifest tidy.
 const PUBLIC_DESC_MAX_CHARS = 500;
 
-const ALLOWED_STATUSES = new Set(['alpha', 'beta', 'deprecated']);
-
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
@@ -37,69 +53,37 @@ const publicDir = path.resolve(websiteDir, 'public');
 const publicDefinitionsDir = path.resolve(publicDir, 'definitions');
 const publicManifestPath = path.resolve(publicDefinitionsDir, 'definitions.json');
 const schemaPath = path.resolve(publicDefinitionsDir, 'schema.json');
+const canonicalManifestPath = path.resolve(publicDefinitionsDir, 'canonical.json');
+const canonicalSchemaPath = path.resolve(publicDefinitionsDir, 'canonical.schema.json');
+const publicProvidersDir = path.resolve(publicDefinitionsDir, 'providers');
+const publicModelsDir = path.resolve(publicDefinitionsDir, 'models');
+const changelogPath = path.resolve(publicDefinitionsDir, 'changelog.json');
+const changelogSchemaPath = path.resolve(publicDefinitionsDir, 'changelog.schema.json');
+const changelogFeedPath = path.resolve(publicDefinitionsDir, 'changelog.xml');
+const retiringPath = path.resolve(publicDefinitionsDir, 'retiring.json');
+const retiringSchemaPath = path.resolve(publicDefinitionsDir, 'retiring.schema.json');
+// Flat renditions of definitions.json for spreadsheets and BI tools.
+const csvExportPath = path.resolve(publicDefinitionsDir, 'definitions.csv');
+const ndjsonExportPath = path.resolve(publicDefinitionsDir, 'definitions.ndjson');
+const sqliteExportPath = path.resolve(publicDefinitionsDir, 'definitions.sqlite');
+// Typed provider configs + model id unions for TypeScript consumers.
+const providersModulePath = path.resolve(publicDefinitionsDir, 'providers.ts');
+// TypeScript types generated from the schema: published, and part of the client package.
+const publicTypesPath = path.resolve(publicDefinitionsDir, 'definitions.d.ts');
+const clientDir = path.resolve(websiteDir, 'client');
+const clientTypesPath = path.resolve(clientDir, 'definitions.d.ts');
+// Published verbatim so consumers (and /definitions/estimate/) import the exact same code.
+const costEstimatorSrcPath = path.resolve(__dirname, 'lib', 'cost-estimator.mjs');
+const publicCostEstimatorPath = path.resolve(publicDefinitionsDir, 'cost-estimator.mjs');
+// Same for the lifecycle countdowns the site's cards show.
+const modelLifecycleSrcPath = path.resolve(__dirname, 'lib', 'model-lifecycle.mjs');
+const publicModelLifecyclePath = path.resolve(publicDefinitionsDir, 'model-lifecycle.mjs');
 
 const astroDataDir = path.resolve(websiteDir, 'src', 'data');
 const internalCatalogPath = path.resolve(astroDataDir, 'definitions-catalog.json');
 
-/**
- * Keep filtering logic in one place. DRY or suffer.
- *
- * Mirrors the style/pattern from build-skills.mjs.
- */
-function shouldExcludePath(relPathLike, { isDirectory = false } = {}) {
-  // Normalize to forward slashes so matching is consistent across platforms.
-  // NOTE: relPathLike may be a nested path (e.g. "models/.git/config").
-  const rel = relPathLike.split(path.sep).join('/');
-  const base = path.posix.basename(rel);
-  const baseLower = base.toLowerCase();
-
-  // Basename-based exclusions (files)
-  if (base === '.DS_Store') return true;
-  if (baseLower.endsWith('.pyc')) return true;
-
-  // VCS + repo metadata (dir or file)
-  if (base === '.git' || base === '.svn' || base === '.hg') return true;
-  if (rel.includes('/.git/') || rel.includes('/.svn/') || rel.includes('/.hg/')) return true;
-
-  // Sensitive config files
-  if (base === '.env' || base.startsWith('.env.')) return true;
-  if (base === '.npmrc') return true;
-  if (base === '.yarnrc' || base === '.yarnrc.yml') return true;
-  if (base === '.pypirc') return true;
-
-  // Secrets / keys / certs
-  if (baseLower === 'id_rsa' || baseLower === 'id_ed25519') return true;
-  if (baseLower.endsWith('.pem')) return true;
-  if (baseLower.endsWith('.key')) return true;
-  if (baseLower.endsWith('.p12')) return true;
-  if (baseLower.endsWith('.pfx')) return true;
-
-  // Vim swap files
-  if (baseLower.endsWith('.swp') || baseLower.endsWith('.swo')) return true;
-
-  // Directory-based exclusions (and anything inside)
-  const segments = rel.split('/').filter(Boolean);
-  const excludedDirNames = new Set([
-    '__pycache__',
-    '.ssh',
-    'node_modules',
-    '.venv',
-    'venv',
-    'env',
-    'dist',
-    '.idea',
-    '.vscode',
-    '.terraform',
-  ]);
-
-  if (segments.some((seg) => excludedDirNames.has(seg))) return true;
-
-  // Any dot-prefixed directory (but NOT dotfiles like .gitkeep).
-  // We can only safely do this when the caller tells us it's a directory.
-  if (isDirectory && base.startsWith('.')) return true;
-
-  return false;
-}
+// Overlay builds go here (or to --out), never next to the published files.
+const defaultOverlayOutDir = path.resolve(websiteDir, 'internal');
 
 function truncate(str, maxChars) {
   if (typeof str !== 'string') return '';
@@ -141,6 +125,16 @@ function assertInsideDir(baseDirAbs, targetAbs, label = '') {
   }
 }
 
+function assertOutsideDir(baseDirAbs, targetAbs, label = '') {
+  const rel = path.relative(baseDirAbs, targetAbs);
+  const relPosix = rel.split(path.sep).join('/');
+  if (!path.isAbsolute(rel) && relPosix !== '..' && !relPosix.startsWith('../')) {
+    throw new Error(
+      `Output boundary violation${label ? ` (${label})` : ''}: ${targetAbs} is inside ${baseDirAbs}`,
+    );
+  }
+}
+
 function sortAlphaCaseInsensitive(values) {
   return [...values].sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
 }
@@ -150,18 +144,6 @@ async function ensureDirs() {
   await fsp.mkdir(astroDataDir, { recursive: true });
 }
 
-async function safeReadDir(dirAbs, { label = '' } = {}) {
-  try {
-    return await fsp.readdir(dirAbs, { withFileTypes: true });
-  } catch (err) {
-    if (label) {
-      warn(`Failed to read directory (${label}): ${dirAbs}`);
-      warn(`  ${err instanceof Error ? err.message : String(err)}`);
-    }
-    return [];
-  }
-}
-
 function warn(msg) {
   console.warn(`\u001b[33m[warn]\u001b[0m ${msg}`);
 }
@@ -170,169 +152,50 @@ function error(msg) {
   console.error(`\u001b[31m[error]\u001b[0m ${msg}`);
 }
 
-function isPlainObject(val) {
-  return val != null && typeof val === 'object' && !Array.isArray(val);
-}
-
-function asString(val) {
-  return typeof val === 'string' ? val : undefined;
-}
-
-function asStringArray(val) {
-  if (!Array.isArray(val)) return undefined;
-  const out = [];
-  for (const v of val) {
-    if (typeof v === 'string') out.push(v);
-  }
-  return out;
-}
-
-function asBoolean(val) {
-  return typeof val === 'boolean' ? val : undefined;
-}
-
-function asNumber(val) {
-  return typeof val === 'number' && Number.isFinite(val) ? val : undefined;
-}
-
-function normalizeProviderToml(providerId, providerToml, providerTomlPath) {
-  // The provider TOML schema is simple; we still validate types.
-  const name = asString(providerToml?.name)?.trim();
-  const env = asStringArray(providerToml?.env);
-  const npm = asString(providerToml?.npm)?.trim();
-  const doc = asString(providerToml?.doc)?.trim();
-  const api = asString(providerToml?.api)?.trim();
-
-  if (!name) warn(`Provider '${providerId}' missing required string field: name (${providerTomlPath})`);
-  if (!env || env.length === 0) warn(`Provider '${providerId}' missing required string[] field: env (${providerTomlPath})`);
-  if (!npm) warn(`Provider '${providerId}' missing required string field: npm (${providerTomlPath})`);
-  if (!doc) warn(`Provider '${providerId}' missing required string field: doc (${providerTomlPath})`);
-
-  return {
-    id: providerId,
-    name: name || providerId,
-    env: env || [],
-    npm: npm || '',
-    doc: doc || '',
-    api: api || undefined,
-  };
+/**
+ * Validation findings for the source data.
+ *
+ * Every data problem goes through reportIssue(): it is still printed like before,
+ * but also recorded so --strict can fail the build and --report can write a
+ * machine-readable (JSON or SARIF) file for CI.
+ */
+const VALIDATION_RULES = {
+  'missing-field': 'A required field or table is missing or empty.',
+  'invalid-type': 'A field has the wrong type.',
+  'invalid-value': 'A field has a value outside the allowed range.',
+  'unknown-status': 'A model status is not one of the allowed values.',
+  'unknown-successor': 'A lifecycle successor is not another model of the same provider.',
+  'unknown-cost-key': 'A cost key is neither a canonical key nor a known alias.',
+  'duplicate-cost-key': 'A cost rate is given under both its canonical key and an alias.',
+  'parse-error': 'A TOML file failed to parse.',
+  'missing-file': 'An expected file or directory is missing.',
+  'unknown-overlay-target': 'An overlay hides a provider or model that no lower layer defines.',
+};
+
+const validationIssues = [];
+
+function reportIssue({ severity = 'error', rule, file, field, subject, message }) {
+  validationIssues.push({
+    severity,
+    rule,
+    file: file ? toPosixPath(path.relative(repoRootDir, file)) : '',
+    field: field ?? '',
+    message: `${subject} ${message}`,
+  });
+
+  warn(`${subject} ${message}${file ? ` (${file})` : ''}`);
 }
 
-function normalizeModelToml({ providerId, modelId, modelToml, modelTomlPath }) {
-  // Required strings
-  const nameRaw = asString(modelToml?.name)?.trim();
-  const family = asString(modelToml?.family)?.trim();
-  const releaseDate = asString(modelToml?.release_date)?.trim();
-  const lastUpdated = asString(modelToml?.last_updated)?.trim();
-
-  if (!nameRaw) warn(`Model '${providerId}/${modelId}' missing required string field: name (${modelTomlPath})`);
-  if (!releaseDate) warn(`Model '${providerId}/${modelId}' missing required string field: release_date (${modelTomlPath})`);
-  if (!lastUpdated) warn(`Model '${providerId}/${modelId}' missing required string field: last_updated (${modelTomlPath})`);
-
-  // Required booleans
-  const attachment = asBoolean(modelToml?.attachment);
-  const reasoning = asBoolean(modelToml?.reasoning);
-  const toolCall = asBoolean(modelToml?.tool_call);
-  const openWeights = asBoolean(modelToml?.open_weights);
-
-  if (attachment === undefined) warn(`Model '${providerId}/${modelId}' missing required boolean field: attachment (${modelTomlPath})`);
-  if (reasoning === undefined) warn(`Model '${providerId}/${modelId}' missing required boolean field: reasoning (${modelTomlPath})`);
-  if (toolCall === undefined) warn(`Model '${providerId}/${modelId}' missing required boolean field: tool_call (${modelTomlPath})`);
-  if (openWeights === undefined) warn(`Model '${providerId}/${modelId}' missing required boolean field: open_weights (${modelTomlPath})`);
-
-  // Optional booleans
-  const temperature = asBoolean(modelToml?.temperature);
-  const structuredOutput = asBoolean(modelToml?.structured_output);
-
-  // Optional strings
-  const knowledge = asString(modelToml?.knowledge)?.trim();
-
-  const statusRaw = asString(modelToml?.status)?.trim()?.toLowerCase();
-  const status = statusRaw && ALLOWED_STATUSES.has(statusRaw) ? statusRaw : undefined;
-  if (statusRaw && !ALLOWED_STATUSES.has(statusRaw)) {
-    warn(
-      `Model '${providerId}/${modelId}' has unknown status '${statusRaw}' — omitting from output (${modelTomlPath})`,
-    );
-  }
-
-  // Optional description (future-proofing)
-  const description = asString(modelToml?.description)?.trim();
-
-  // cost table
-  const cost = isPlainObject(modelToml?.cost) ? modelToml.cost : undefined;
-
-  // limit table (required)
-  const limit = isPlainObject(modelToml?.limit) ? modelToml.limit : undefined;
-
-  if (!limit) warn(`Model '${providerId}/${modelId}' missing required table: [limit] (${modelTomlPath})`);
-
-  const limitContext = asNumber(limit?.context);
-  const limitOutput = asNumber(limit?.output);
-  const limitInput = asNumber(limit?.input);
-
-  if (limitContext === undefined) warn(`Model '${providerId}/${modelId}' missing required number field: limit.context (${modelTomlPath})`);
-  if (limitOutput === undefined) warn(`Model '${providerId}/${modelId}' missing required number field: limit.output (${modelTomlPath})`);
-
-  // modalities table (required)
-  const modalities = isPlainObject(modelToml?.modalities) ? modelToml.modalities : undefined;
-  if (!modalities) warn(`Model '${providerId}/${modelId}' missing required table: [modalities] (${modelTomlPath})`);
-
-  const modInput = asStringArray(modalities?.input) || [];
-  const modOutput = asStringArray(modalities?.output) || [];
-
-  return {
-    id: modelId,
-    name: nameRaw || modelId,
-    family: family || undefined,
-    provider: providerId,
-
-    release_date: releaseDate || null,
-    last_updated: lastUpdated || null,
-
-    attachment: attachment ?? false,
-    reasoning: reasoning ?? false,
-    tool_call: toolCall ?? false,
-    open_weights: openWeights ?? false,
-
-    temperature: temperature ?? undefined,
-    structured_output: structuredOutput ?? undefined,
-    knowledge: knowledge || undefined,
-    status: status || undefined,
-
-    description: description || undefined,
-
-    cost: cost || undefined,
-    limit: {
-      context: limitContext ?? null,
-      output: limitOutput ?? null,
-      ...(limitInput === undefined ? {} : { input: limitInput }),
-    },
-    modalities: {
-      input: modInput,
-      output: modOutput,
-    },
-  };
+function isPlainObject(val) {
+  return val != null && typeof val === 'object' && !Array.isArray(val);
 }
 
 function toPublicModel(modelInternal) {
   // Public output is intentionally smaller / cleaner.
-  // - cost keeps only { input, output }
+  // - cost is already normalized (canonical keys + tiers) by normalizeModelToml
   // - description truncated if it exists (future-proof)
 
-  const publicCost = (() => {
-    const c = modelInternal?.cost;
-    if (!isPlainObject(c)) return undefined;
-
-    const input = asNumber(c.input);
-    const output = asNumber(c.output);
-
-    // Only include if at least one is present.
-    if (input === undefined && output === undefined) return undefined;
-    return {
-      ...(input === undefined ? {} : { input }),
-      ...(output === undefined ? {} : { output }),
-    };
-  })();
+  const publicCost = isPlainObject(modelInternal?.cost) ? modelInternal.cost : undefined;
 
   const out = {
     id: modelInternal.id,
@@ -354,6 +217,8 @@ function toPublicModel(modelInternal) {
       : { structured_output: modelInternal.structured_output }),
     ...(modelInternal.knowledge ? { knowledge: modelInternal.knowledge } : {}),
     ...(modelInternal.status ? { status: modelInternal.status } : {}),
+    ...(modelInternal.lifecycle ? { lifecycle: modelInternal.lifecycle } : {}),
+    ...(modelInternal.provenance ? { provenance: modelInternal.provenance } : {}),
 
     ...(modelInternal.description ? { description: truncate(modelInternal.description, PUBLIC_DESC_MAX_CHARS) } : {}),
 
@@ -365,63 +230,19 @@ function toPublicModel(modelInternal) {
   return out;
 }
 
-async function readTomlFile(tomlAbs, labelForWarnings) {
-  try {
-    const raw = await fsp.readFile(tomlAbs, 'utf8');
-    return parseToml(raw);
-  } catch (err) {
-    warn(`Failed to parse TOML (${labelForWarnings}): ${tomlAbs}`);
-    warn(`${err instanceof Error ? err.message : String(err)}`);
-    return null;
-  }
-}
-
-async function listProviderDirs() {
-  const entries = await safeReadDir(providersRootDir, { label: 'providers root' });
-
-  const out = [];
-  for (const ent of entries) {
-    if (!ent.isDirectory()) continue;
-    if (shouldExcludePath(ent.name, { isDirectory: true })) continue;
-    out.push(ent.name);
-  }
-
-  // Deterministic initial order (final sort is by provider TOML name).
-  return sortAlphaCaseInsensitive(out);
-}
-
-async function listModelTomlFiles(modelsRootAbs) {
-  // Async DFS. Explicit > clever.
-  const out = [];
-
-  async function walk(dirAbs, relFromModelsRoot) {
-    const entries = await safeReadDir(dirAbs, { label: relFromModelsRoot ? `models scan: ${relFromModelsRoot}` : 'models scan: <root>' });
-    for (const ent of entries) {
-      const childAbs = path.resolve(dirAbs, ent.name);
-      const childRel = relFromModelsRoot ? `${relFromModelsRoot}/${ent.name}` : ent.name;
-
-      if (shouldExcludePath(childRel, { isDirectory: ent.isDirectory() })) continue;
-
-      if (ent.isDirectory()) {
-        await walk(childAbs, childRel);
-      } else if (ent.isFile()) {
-        if (!ent.name.toLowerCase().endsWith('.toml')) continue;
-        out.push({ abs: childAbs, rel: childRel });
-      } else {
-        // ignore symlinks/sockets/etc (YAGNI)
-      }
-    }
-  }
-
-  await walk(modelsRootAbs, '');
-
-  // Deterministic; parsing/sorting by name happens later.
-  out.sort((a, b) => a.rel.localeCompare(b.rel, undefined, { sensitivity: 'base' }));
-  return out;
-}
-
 function buildJsonSchema() {
   // Schema is based on the public manifest format.
+  const costRateProperties = {
+    input: { type: 'number', minimum: 0, description: 'Input (prompt) tokens.' },
+    output: { type: 'number', minimum: 0, description: 'Output (completion) tokens.' },
+    cache_read: { type: 'number', minimum: 0, description: 'Prompt-cache hits (cached input tokens).' },
+    cache_write: { type: 'number', minimum: 0, description: 'Prompt-cache writes.' },
+    reasoning: { type: 'number', minimum: 0, description: 'Reasoning tokens, when billed separately from output.' },
+    input_audio: { type: 'number', minimum: 0, description: 'Audio input tokens.' },
+    output_audio: { type: 'number', minimum: 0, description: 'Audio output tokens.' },
+    image: { type: 'number', minimum: 0, description: 'Image tokens.' },
+  };
+
   return {
     $schema: 'https://json-schema.org/draft/2020-12/schema',
     $id: `${BASE_URL}/definitions/schema.json`,
@@ -444,15 +265,21 @@ function buildJsonSchema() {
       provider: {
         type: 'object',
         additionalProperties: false,
-        required: ['id', 'name', 'npm', 'doc', 'has_logo', 'model_count', 'models'],
+        required: ['id', 'name', 'env', 'npm', 'doc', 'has_logo', 'model_count', 'models'],
         properties: {
           id: { type: 'string' },
           name: { type: 'string' },
-          npm: { type: 'string' },
+          env: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Environment variable names for the API key (and any other required settings).',
+          },
+          npm: { type: 'string', description: 'AI SDK provider package.' },
           doc: { type: 'string' },
-          api: { type: 'string' },
+          api: { type: 'string', description: 'API base URL, when the SDK package needs one.' },
           has_logo: { type: 'boolean' },
           model_count: { type: 'integer', minimum: 0 },
+          provenance: { $ref: '#/$defs/provenance' },
           models: {
             type: 'array',
             items: { $ref: '#/$defs/model' },
@@ -492,6 +319,8 @@ function buildJsonSchema() {
           knowledge: { type: 'string' },
           open_weights: { type: 'boolean' },
           status: { type: 'string', enum: ['alpha', 'beta', 'deprecated'] },
+          lifecycle: { $ref: '#/$defs/lifecycle' },
+          provenance: { $ref: '#/$defs/provenance' },
 
           description: { type: 'string' },
 
@@ -514,12 +343,155 @@ function buildJsonSchema() {
               input: { type: 'number', minimum: 0 },
             },
           },
+          cost: {
+            $ref: '#/$defs/cost',
+          },
+        },
+      },
+      lifecycle: {
+        description: 'When the provider deprecates and retires the model, and what replaces it.',
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          deprecation_date: {
+            type: 'string',
+            pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+            description: 'Day the provider deprecates the model (YYYY-MM-DD). It keeps serving until retirement.',
+          },
+          retirement_date: {
+            type: 'string',
+            pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+            description: 'Day the model stops serving requests (YYYY-MM-DD).',
+          },
+          successor: { type: 'string', description: 'Id of the model of the same provider to migrate to.' },
+        },
+      },
+      provenance: {
+        description:
+          'Which source layer a record and its fields came from. Only present on records an overlay added or patched.',
+        type: 'object',
+        additionalProperties: false,
+        required: ['source'],
+        properties: {
+          source: {
+            type: 'string',
+            description: "Layer that defined the record: 'upstream' or the name of an overlay directory.",
+          },
+          fields: {
+            type: 'object',
+            additionalProperties: { type: 'string' },
+            description: 'Dotted field paths (e.g. cost.input) set by a later overlay, mapped to that overlay. Other fields come from source.',
+          },
+        },
+      },
+      cost_rates: {
+        description: 'USD per million tokens. Alias keys (cached_input, cached_read, cached_write) are normalized away.',
+        type: 'object',
+        additionalProperties: false,
+        properties: costRateProperties,
+      },
+      cost: {
+        description: 'Base rates (see cost_rates) plus optional tiered tables.',
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          ...costRateProperties,
+          context_over_200k: {
+            $ref: '#/$defs/cost_rates',
+            description: 'Rates that apply once the prompt exceeds 200K tokens.',
+          },
+        },
+      },
+    },
+  };
+}
+
+function buildCanonicalJsonSchema() {
+  // Schema for /definitions/canonical.json ("same model, many hosts").
+  const offeringRef = {
+    type: ['object', 'null'],
+    additionalProperties: false,
+    required: ['provider', 'model_id'],
+    properties: {
+      provider: { type: 'string' },
+      model_id: { type: 'string' },
+    },
+  };
+
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: `${BASE_URL}/definitions/canonical.schema.json`,
+    title: 'LLMSpec Canonical Model Index',
+    type: 'object',
+    additionalProperties: false,
+    required: ['version', 'generated_at', 'base_url', 'total_canonical_models', 'total_multi_provider', 'models'],
+    properties: {
+      version: { type: 'string' },
+      generated_at: { type: 'string', format: 'date-time' },
+      base_url: { type: 'string' },
+      total_canonical_models: { type: 'integer', minimum: 0 },
+      total_multi_provider: { type: 'integer', minimum: 0 },
+      models: {
+        type: 'array',
+        items: { $ref: '#/$defs/canonical_model' },
+      },
+    },
+    $defs: {
+      canonical_model: {
+        type: 'object',
+        additionalProperties: false,
+        required: [
+          'id',
+          'name',
+          'release_date',
+          'provider_count',
+          'offering_count',
+          'cheapest',
+          'largest_context',
+          'offerings',
+        ],
+        properties: {
+          id: { type: 'string', description: 'Canonical key derived from the provider model ids.' },
+          name: { type: 'string' },
+          family: { type: 'string' },
+          release_date: { type: ['string', 'null'], description: 'Earliest release date across offerings.' },
+          provider_count: { type: 'integer', minimum: 1 },
+          offering_count: { type: 'integer', minimum: 1 },
+          cheapest: { ...offeringRef, description: 'Lowest input + output price per M tokens.' },
+          largest_context: { ...offeringRef, description: 'Largest limit.context.' },
+          offerings: {
+            type: 'array',
+            items: { $ref: '#/$defs/offering' },
+          },
+        },
+      },
+      offering: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['provider', 'provider_name', 'model_id', 'name', 'release_date', 'limit'],
+        properties: {
+          provider: { type: 'string' },
+          provider_name: { type: 'string' },
+          model_id: { type: 'string' },
+          name: { type: 'string' },
+          release_date: { type: ['string', 'null'] },
+          status: { type: 'string' },
+          limit: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['context', 'output'],
+            properties: {
+              context: { type: ['number', 'null'], minimum: 0 },
+              output: { type: ['number', 'null'], minimum: 0 },
+            },
+          },
           cost: {
             type: 'object',
             additionalProperties: false,
             properties: {
               input: { type: 'number', minimum: 0 },
               output: { type: 'number', minimum: 0 },
+              cache_read: { type: 'number', minimum: 0 },
             },
           },
         },
@@ -528,31 +500,361 @@ function buildJsonSchema() {
   };
 }
 
+function buildChangelogJsonSchema() {
+  // Schema for /definitions/changelog.json (diffs between published builds).
+  const modelRef = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['provider', 'provider_name', 'model_id', 'name'],
+    properties: {
+      provider: { type: 'string' },
+      provider_name: { type: 'string' },
+      model_id: { type: 'string' },
+      name: { type: 'string' },
+    },
+  };
+  const fieldChange = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['field', 'from', 'to'],
+    properties: {
+      field: { type: 'string', description: "Cost key (tiers as 'context_over_200k.input') or limit key." },
+      from: { type: ['number', 'null'] },
+      to: { type: ['number', 'null'] },
+    },
+  };
+  const changedModel = {
+    ...modelRef,
+    required: [...modelRef.required, 'changes'],
+    properties: {
+      ...modelRef.properties,
+      changes: { type: 'array', minItems: 1, items: { $ref: '#/$defs/field_change' } },
+    },
+  };
+  const summaryKeys = ['added', 'removed', 'price_changes', 'limit_changes', 'deprecated'];
+
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: `${BASE_URL}/definitions/changelog.schema.json`,
+    title: 'LLMSpec Definitions Changelog',
+    type: 'object',
+    additionalProperties: false,
+    required: ['version', 'updated_at', 'base_url', 'total_entries', 'entries'],
+    properties: {
+      version: { type: 'string' },
+      updated_at: {
+        type: ['string', 'null'],
+        format: 'date-time',
+        description: 'generated_at of the newest entry; null while there are none.',
+      },
+      base_url: { type: 'string' },
+      total_entries: { type: 'integer', minimum: 0 },
+      entries: {
+        type: 'array',
+        description: 'Newest first.',
+        items: { $ref: '#/$defs/entry' },
+      },
+    },
+    $defs: {
+      entry: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['id', 'generated_at', 'previous_generated_at', 'summary', ...summaryKeys],
+        properties: {
+          id: { type: 'string' },
+          generated_at: { type: 'string', format: 'date-time' },
+          previous_generated_at: { type: ['string', 'null'] },
+          summary: {
+            type: 'object',
+            additionalProperties: false,
+            required: summaryKeys,
+            properties: Object.fromEntries(summaryKeys.map((k) => [k, { type: 'integer', minimum: 0 }])),
+          },
+          added: { type: 'array', items: { $ref: '#/$defs/model_ref' } },
+          removed: { type: 'array', items: { $ref: '#/$defs/model_ref' } },
+          price_changes: { type: 'array', items: { $ref: '#/$defs/changed_model' } },
+          limit_changes: { type: 'array', items: { $ref: '#/$defs/changed_model' } },
+          deprecated: { type: 'array', items: { $ref: '#/$defs/model_ref' } },
+        },
+      },
+      model_ref: modelRef,
+      changed_model: changedModel,
+      field_change: fieldChange,
+    },
+  };
+}
+
 async function writeJsonPretty(fileAbs, data) {
   const json = `${JSON.stringify(data, null, 2)}\n`;
   await fsp.writeFile(fileAbs, json, 'utf8');
 }
 
-async function main() {
-  await ensureDirs();
+/**
+ * Per-provider and per-model shards, so consumers can fetch exactly what they need:
+ * - /definitions/providers/<provider>.json
+ * - /definitions/models/<provider>/<model>.json
+ *
+ * Model ids may contain '/' (e.g. "deepseek-ai/DeepSeek-R1"); those become nested dirs.
+ * Both shard trees are wiped first so removed models don't linger.
+ */
+async function writeDefinitionShards(manifestPublic) {
+  assertInsideDir(publicDefinitionsDir, publicProvidersDir, 'provider shards');
+  assertInsideDir(publicDefinitionsDir, publicModelsDir, 'model shards');
+
+  await fsp.rm(publicProvidersDir, { recursive: true, force: true });
+  await fsp.rm(publicModelsDir, { recursive: true, force: true });
+  await fsp.mkdir(publicProvidersDir, { recursive: true });
+  await fsp.mkdir(publicModelsDir, { recursive: true });
+
+  const envelope = {
+    version: manifestPublic.version,
+    generated_at: manifestPublic.generated_at,
+    base_url: manifestPublic.base_url,
+  };
 
-  if (!(await isDirectory(providersRootDir))) {
-    // Guard clause: the models repo is a git submodule. We should explain the fix.
-    error(`Definitions source directory not found: ${providersRootDir}`);
-    console.log('');
-    console.log('This repo expects the model definitions to be present as a git submodule.');
-    console.log('Run:');
-    console.log('  git submodule update --init --recursive');
-    console.log('');
-    console.log('Skipping definitions build (skills build can still succeed).');
-    console.log('');
-    return;
+  let modelShardCount = 0;
+
+  for (const provider of manifestPublic.providers) {
+    const providerShardAbs = path.resolve(publicProvidersDir, `${provider.id}.json`);
+    assertInsideDir(publicProvidersDir, providerShardAbs, `provider shard: ${provider.id}`);
+    await writeJsonPretty(providerShardAbs, { ...envelope, provider });
+
+    const providerSummary = {
+      id: provider.id,
+      name: provider.name,
+      env: provider.env,
+      npm: provider.npm,
+      doc: provider.doc,
+      ...(provider.api ? { api: provider.api } : {}),
+    };
+
+    const providerModelsDir = path.resolve(publicModelsDir, provider.id);
+    assertInsideDir(publicModelsDir, providerModelsDir, `model shards: ${provider.id}`);
+
+    for (const model of provider.models) {
+      const modelShardAbs = path.resolve(providerModelsDir, `${model.id}.json`);
+      try {
+        assertInsideDir(providerModelsDir, modelShardAbs, `model shard: ${provider.id}/${model.id}`);
+        await fsp.mkdir(path.dirname(modelShardAbs), { recursive: true });
+        await writeJsonPretty(modelShardAbs, { ...envelope, provider: providerSummary, model });
+        modelShardCount += 1;
+      } catch (err) {
+        warn(`Failed to write model shard: ${provider.id}/${model.id}`);
+        warn(`  ${err instanceof Error ? err.message : String(err)}`);
+      }
+    }
   }
 
-  const providerIds = await listProviderDirs();
+  return { providerShardCount: manifestPublic.providers.length, modelShardCount };
+}
 
-  const generatedAt = new Date().toISOString();
+function isHttpUrl(value) {
+  return /^https?:\/\//i.test(value);
+}
 
+async function readJsonSource(source, label) {
+  // Returns undefined (with a warning) instead of throwing: a missing or unreachable
+  // previous build only means there is nothing to diff against.
+  try {
+    if (isHttpUrl(source)) {
+      const res = await fetch(source);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return await res.json();
+    }
+    if (!(await pathExists(source))) return undefined;
+    return JSON.parse(await fsp.readFile(source, 'utf8'));
+  } catch (err) {
+    warn(`Could not read ${label} from ${source}: ${err instanceof Error ? err.message : String(err)}`);
+    return undefined;
+  }
+}
+
+async function loadPreviousBuild(manifestSource) {
+  // Only an explicit --previous is diffed against. The local definitions.json may be
+  // from any earlier run (another branch, an overlay build), so it says nothing
+  // about what consumers saw.
+  if (!manifestSource) return { manifest: undefined, entries: [] };
+
+  // The previous changelog sits next to the previous manifest, locally or on the site.
+  const changelogSource = isHttpUrl(manifestSource)
+    ? new URL('changelog.json', manifestSource).toString()
+    : path.resolve(path.dirname(path.resolve(manifestSource)), 'changelog.json');
+
+  const manifest = await readJsonSource(
+    isHttpUrl(manifestSource) ? manifestSource : path.resolve(manifestSource),
+    'previous manifest',
+  );
+  const changelog = await readJsonSource(changelogSource, 'previous changelog');
+
+  return { manifest, entries: Array.isArray(changelog?.entries) ? changelog.entries : [] };
+}
+
+function parseCliArgs(argv) {
+  // Tiny hand-rolled parser; we only have a couple of flags and no deps for it.
+  const opts = {
+    strict: false,
+    reportPath: undefined,
+    reportFormat: undefined,
+    previous: undefined,
+    retiringDays: DEFAULT_RETIRING_WINDOW_DAYS,
+    overlays: [],
+    out: undefined,
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    const [flag, inlineValue] = arg.startsWith('--') && arg.includes('=') ? arg.split(/=(.*)/s, 2) : [arg, undefined];
+    const takeValue = () => {
+      if (inlineValue !== undefined) return inlineValue;
+      const next = argv[i + 1];
+      if (next === undefined || next.startsWith('--')) throw new Error(`Missing value for ${flag}`);
+      i += 1;
+      return next;
+    };
+
+    if (flag === '--strict') opts.strict = true;
+    else if (flag === '--report') opts.reportPath = takeValue();
+    else if (flag === '--report-format') opts.reportFormat = takeValue();
+    else if (flag === '--previous') opts.previous = takeValue();
+    else if (flag === '--overlay') opts.overlays.push(takeValue());
+    else if (flag === '--out') opts.out = takeValue();
+    else if (flag === '--retiring-days') {
+      const raw = takeValue();
+      const days = Number(raw);
+      if (!Number.isInteger(days) || days < 0) throw new Error(`--retiring-days expects a whole number of days, got '${raw}'`);
+      opts.retiringDays = days;
+    }
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+
+  if (opts.out !== undefined && opts.overlays.length === 0) throw new Error('--out only applies to overlay builds (--overlay)');
+  opts.out = path.resolve(process.cwd(), opts.out ?? defaultOverlayOutDir);
+
+  if (opts.reportFormat === undefined && opts.reportPath) {
+    opts.reportFormat = /\.sarif(\.json)?$/i.test(opts.reportPath) ? 'sarif' : 'json';
+  }
+  if (opts.reportFormat !== undefined && !['json', 'sarif'].includes(opts.reportFormat)) {
+    throw new Error(`Unsupported --report-format '${opts.reportFormat}' (expected json or sarif)`);
+  }
+
+  return opts;
+}
+
+function summarizeIssues(issues) {
+  return {
+    errors: issues.filter((i) => i.severity === 'error').length,
+    warnings: issues.filter((i) => i.severity === 'warning').length,
+    files: new Set(issues.map((i) => i.file).filter(Boolean)).size,
+  };
+}
+
+function buildJsonReport(issues, { strict, generatedAt }) {
+  return {
+    version: VERSION,
+    generated_at: generatedAt,
+    tool: 'build-definitions',
+    strict,
+    source: toPosixPath(path.relative(repoRootDir, providersRootDir)),
+    summary: summarizeIssues(issues),
+    issues,
+  };
+}
+
+function buildSarifReport(issues) {
+  // SARIF 2.1.0, the subset GitHub code scanning understands.
+  const usedRules = sortAlphaCaseInsensitive(new Set(issues.map((i) => i.rule)));
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'build-definitions',
+            version: VERSION,
+            informationUri: `${BASE_URL}/definitions/schema.json`,
+            rules: usedRules.map((id) => ({
+              id,
+              shortDescription: { text: VALIDATION_RULES[id] ?? id },
+            })),
+          },
+        },
+        results: issues.map((issue) => ({
+          ruleId: issue.rule,
+          level: issue.severity === 'error' ? 'error' : 'warning',
+          message: { text: issue.message },
+          ...(issue.file
+            ? { locations: [{ physicalLocation: { artifactLocation: { uri: issue.file } } }] }
+            : {}),
+          ...(issue.field ? { properties: { field: issue.field } } : {}),
+        })),
+      },
+    ],
+  };
+}
+
+async function writeValidationReport(opts, generatedAt) {
+  if (!opts.reportPath) return;
+
+  const reportAbs = path.resolve(process.cwd(), opts.reportPath);
+  await fsp.mkdir(path.dirname(reportAbs), { recursive: true });
+
+  const report =
+    opts.reportFormat === 'sarif'
+      ? buildSarifReport(validationIssues)
+      : buildJsonReport(validationIssues, { strict: opts.strict, generatedAt });
+  await writeJsonPretty(reportAbs, report);
+
+  console.log(`Report:    ${path.relative(process.cwd(), reportAbs)} (${opts.reportFormat})`);
+}
+
+function buildRetiringJsonSchema() {
+  // Schema for /definitions/retiring.json (models retiring within the window).
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: `${BASE_URL}/definitions/retiring.schema.json`,
+    title: 'LLMSpec Retiring Models',
+    type: 'object',
+    additionalProperties: false,
+    required: ['version', 'generated_at', 'base_url', 'window_days', 'total_models', 'models'],
+    properties: {
+      version: { type: 'string' },
+      generated_at: { type: 'string', format: 'date-time' },
+      base_url: { type: 'string' },
+      window_days: { type: 'integer', minimum: 0, description: 'Models retiring within this many days of generated_at.' },
+      total_models: { type: 'integer', minimum: 0 },
+      models: {
+        type: 'array',
+        description: 'Soonest retirement first.',
+        items: { $ref: '#/$defs/retiring_model' },
+      },
+    },
+    $defs: {
+      retiring_model: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['provider', 'provider_name', 'model_id', 'name', 'retirement_date', 'days_left'],
+        properties: {
+          provider: { type: 'string' },
+          provider_name: { type: 'string' },
+          model_id: { type: 'string' },
+          name: { type: 'string' },
+          retirement_date: { type: 'string' },
+          days_left: { type: 'integer', minimum: 0, description: 'Whole UTC days from generated_at.' },
+          deprecation_date: { type: 'string' },
+          successor: { type: 'string', description: 'Model id (same provider) to migrate to.' },
+          successor_name: { type: 'string' },
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Normalized providers (from loadProvidersFromToml) → { manifestPublic, manifestInternal }:
+ * the definitions.json shape and the fuller catalog the site renders from.
+ */
+function buildManifests(providersInternal, generatedAt) {
   const manifestPublic = {
     version: VERSION,
     generated_at: generatedAt,
@@ -571,113 +873,264 @@ async function main() {
     providers: [],
   };
 
-  console.log(`\nBuilding definitions from: ${providersRootDir}`);
-
-  let modelTotal = 0;
+  // Public + internal stay aligned: same providers, same (name) order.
+  for (const providerInternal of providersInternal) {
+    manifestInternal.providers.push(providerInternal);
+    manifestPublic.providers.push({
+      id: providerInternal.id,
+      name: providerInternal.name,
+      env: providerInternal.env,
+      npm: providerInternal.npm,
+      doc: providerInternal.doc,
+      ...(providerInternal.api ? { api: providerInternal.api } : {}),
+      has_logo: providerInternal.has_logo,
+      model_count: providerInternal.model_count,
+      ...(providerInternal.provenance ? { provenance: providerInternal.provenance } : {}),
+      models: providerInternal.models.map(toPublicModel),
+    });
+  }
 
-  for (const providerId of providerIds) {
-    const providerDirAbs = path.resolve(providersRootDir, providerId);
-    const providerTomlPath = path.resolve(providerDirAbs, 'provider.toml');
+  const modelTotal = providersInternal.reduce((sum, p) => sum + p.model_count, 0);
 
-    let providerToml = null;
-    if (await pathExists(providerTomlPath)) {
-      providerToml = await readTomlFile(providerTomlPath, `provider:${providerId}`);
-    } else {
-      warn(`Missing provider.toml for provider '${providerId}': ${providerTomlPath}`);
-    }
+  manifestInternal.total_providers = manifestInternal.providers.length;
+  manifestPublic.total_providers = manifestPublic.providers.length;
+  manifestInternal.total_models = modelTotal;
+  manifestPublic.total_models = modelTotal;
 
-    const providerMeta = normalizeProviderToml(providerId, providerToml || {}, providerTomlPath);
+  return { manifestPublic, manifestInternal };
+}
 
-    const logoAbs = path.resolve(providerDirAbs, 'logo.svg');
-    const hasLogo = await pathExists(logoAbs);
+async function main() {
+  const opts = parseCliArgs(process.argv.slice(2));
 
-    const modelsRootAbs = path.resolve(providerDirAbs, 'models');
-    if (!(await isDirectory(modelsRootAbs))) {
-      warn(`Provider '${providerId}' has no models/ directory: ${modelsRootAbs}`);
-    }
+  await ensureDirs();
 
-    const modelFiles = (await isDirectory(modelsRootAbs)) ? await listModelTomlFiles(modelsRootAbs) : [];
+  if (!(await isDirectory(providersRootDir))) {
+    // Guard clause: the models repo is a git submodule. We should explain the fix.
+    error(`Definitions source directory not found: ${providersRootDir}`);
+    console.log('');
+    console.log('This repo expects the model definitions to be present as a git submodule.');
+    console.log('Run:');
+    console.log('  git submodule update --init --recursive');
+    console.log('');
 
-    const modelsInternal = [];
-    for (const f of modelFiles) {
-      const relPosix = toPosixPath(f.rel);
-      const modelId = relPosix.replace(/\.toml$/i, '');
+    if (opts.strict) {
+      reportIssue({
+        rule: 'missing-file',
+        file: providersRootDir,
+        subject: 'Definitions source directory',
+        message: 'not found',
+      });
+      await writeValidationReport(opts, new Date().toISOString());
+      process.exitCode = 1;
+      return;
+    }
 
-      const parsed = await readTomlFile(f.abs, `model:${providerId}/${modelId}`);
-      if (!parsed) continue;
+    console.log('Skipping definitions build (skills build can still succeed).');
+    console.log('');
+    return;
+  }
 
-      try {
-        const normalized = normalizeModelToml({
-          providerId,
-          modelId,
-          modelToml: parsed,
-          modelTomlPath: f.abs,
-        });
-        modelsInternal.push(normalized);
-      } catch (err) {
-        // normalizeModelToml should never throw, but we still guard.
-        warn(`Unexpected error normalizing model TOML: ${providerId}/${modelId}`);
-        warn(`${err instanceof Error ? err.stack ?? err.message : String(err)}`);
-      }
-    }
+  const generatedAt = new Date().toISOString();
+  const overlays = resolveOverlayDirs(opts.overlays);
+
+  // The overlay pass reads upstream again; report each of its issues only once.
+  const seenIssues = new Set();
+  const reportIssueOnce = (issue) => {
+    const key = JSON.stringify([issue.rule, issue.file, issue.field, issue.subject, issue.message]);
+    if (seenIssues.has(key)) return;
+    seenIssues.add(key);
+    reportIssue(issue);
+  };
 
-    // Deterministic ordering by visible name.
-    modelsInternal.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
-
-    const providerOutInternal = {
-      id: providerMeta.id,
-      name: providerMeta.name,
-      env: providerMeta.env,
-      npm: providerMeta.npm,
-      doc: providerMeta.doc,
-      ...(providerMeta.api ? { api: providerMeta.api } : {}),
-      has_logo: hasLogo,
-      model_count: modelsInternal.length,
-      models: modelsInternal,
+  console.log(`\nBuilding definitions from: ${providersRootDir}`);
+  const providersInternal = await loadProvidersFromToml(providersRootDir, { reportIssue: reportIssueOnce, warn });
+  const { manifestPublic, manifestInternal } = buildManifests(providersInternal, generatedAt);
+
+  // Overlays only feed the internal build under --out. Nothing below that is
+  // published (manifest, shards, exports, changelog, site catalog) sees them.
+  let overlayBuild;
+  if (overlays.length > 0) {
+    for (const overlay of overlays) console.log(`  overlay '${overlay.name}': ${overlay.dir}`);
+    const providersWithOverlays = await loadProvidersFromToml(providersRootDir, {
+      overlays,
+      reportIssue: reportIssueOnce,
+      warn,
+    });
+    overlayBuild = {
+      ...buildManifests(providersWithOverlays, generatedAt),
+      touched: providersWithOverlays.flatMap((p) => p.models).filter((m) => m.provenance).length,
+      manifestPath: path.resolve(opts.out, 'definitions.json'),
+      catalogPath: path.resolve(opts.out, 'definitions-catalog.json'),
     };
+  }
 
-    const providerOutPublic = {
-      id: providerMeta.id,
-      name: providerMeta.name,
-      npm: providerMeta.npm,
-      doc: providerMeta.doc,
-      ...(providerMeta.api ? { api: providerMeta.api } : {}),
-      has_logo: hasLogo,
-      model_count: modelsInternal.length,
-      models: modelsInternal.map(toPublicModel),
-    };
+  const issueSummary = summarizeIssues(validationIssues);
+  await writeValidationReport(opts, generatedAt);
 
-    manifestInternal.providers.push(providerOutInternal);
-    manifestPublic.providers.push(providerOutPublic);
+  if (opts.strict && issueSummary.errors > 0) {
+    // Don't publish manifests built from data we just declared invalid.
+    error(
+      `Strict mode: ${issueSummary.errors} validation error(s) in ${issueSummary.files} file(s). Manifests not written.`,
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  const schema = buildJsonSchema();
 
-    modelTotal += modelsInternal.length;
+  const canonicalModels = buildCanonicalModels(manifestPublic.providers);
+  const canonicalManifest = {
+    version: VERSION,
+    generated_at: generatedAt,
+    base_url: BASE_URL,
+    total_canonical_models: canonicalModels.length,
+    total_multi_provider: canonicalModels.filter((m) => m.provider_count > 1).length,
+    models: canonicalModels,
+  };
+  const canonicalSchema = buildCanonicalJsonSchema();
+
+  // Read the previous build before anything below overwrites it.
+  const previousBuild = await loadPreviousBuild(opts.previous);
+  const changelogEntries = previousBuild.entries;
+  let newChangelogEntry;
+  if (previousBuild.manifest) {
+    const diff = diffManifests(previousBuild.manifest, manifestPublic);
+    if (!isEmptyDiff(diff)) {
+      newChangelogEntry = buildChangelogEntry(diff, {
+        generatedAt,
+        previousGeneratedAt: previousBuild.manifest.generated_at,
+      });
+      changelogEntries.unshift(newChangelogEntry);
+    }
   }
+  const retainedEntries = changelogEntries.slice(0, MAX_CHANGELOG_ENTRIES);
+  const changelog = {
+    version: VERSION,
+    updated_at: retainedEntries[0]?.generated_at ?? null,
+    base_url: BASE_URL,
+    total_entries: retainedEntries.length,
+    entries: retainedEntries,
+  };
+  const changelogSchema = buildChangelogJsonSchema();
 
-  // Providers sorted alphabetically by display name.
-  // (We sort public + internal independently to keep them aligned.)
-  manifestInternal.providers.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
-  manifestPublic.providers.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+  const retiringModels = buildRetiringModels(manifestPublic.providers, {
+    now: new Date(generatedAt),
+    windowDays: opts.retiringDays,
+  });
+  const retiring = {
+    version: VERSION,
+    generated_at: generatedAt,
+    base_url: BASE_URL,
+    window_days: opts.retiringDays,
+    total_models: retiringModels.length,
+    models: retiringModels,
+  };
+  const retiringSchema = buildRetiringJsonSchema();
 
-  manifestInternal.total_providers = manifestInternal.providers.length;
-  manifestPublic.total_providers = manifestPublic.providers.length;
-  manifestInternal.total_models = modelTotal;
-  manifestPublic.total_models = modelTotal;
+  let changelogStatus = opts.previous ? 'previous build unreadable, nothing to diff against' : 'no --previous, nothing to diff against';
+  if (previousBuild.manifest) {
+    changelogStatus = newChangelogEntry ? describeSummary(newChangelogEntry.summary) : 'no changes';
+  }
 
-  const schema = buildJsonSchema();
+  // Self-check: never publish a manifest that violates the schema we publish next to it.
+  assertMatchesSchema(schema, manifestPublic, 'definitions.json');
+  assertMatchesSchema(canonicalSchema, canonicalManifest, 'canonical.json');
+  assertMatchesSchema(changelogSchema, changelog, 'changelog.json');
+  assertMatchesSchema(retiringSchema, retiring, 'retiring.json');
+  if (overlayBuild) {
+    assertMatchesSchema(schema, overlayBuild.manifestPublic, path.relative(websiteDir, overlayBuild.manifestPath));
+  }
 
   assertInsideDir(publicDefinitionsDir, publicManifestPath, 'public manifest');
   assertInsideDir(astroDataDir, internalCatalogPath, 'internal catalog');
   assertInsideDir(publicDefinitionsDir, schemaPath, 'schema');
+  assertInsideDir(publicDefinitionsDir, canonicalManifestPath, 'canonical index');
+  assertInsideDir(publicDefinitionsDir, canonicalSchemaPath, 'canonical schema');
+  assertInsideDir(publicDefinitionsDir, publicCostEstimatorPath, 'cost estimator');
+  assertInsideDir(publicDefinitionsDir, publicModelLifecyclePath, 'lifecycle module');
+  assertInsideDir(publicDefinitionsDir, changelogPath, 'changelog');
+  assertInsideDir(publicDefinitionsDir, changelogSchemaPath, 'changelog schema');
+  assertInsideDir(publicDefinitionsDir, changelogFeedPath, 'changelog feed');
+  assertInsideDir(publicDefinitionsDir, retiringPath, 'retiring list');
+  assertInsideDir(publicDefinitionsDir, retiringSchemaPath, 'retiring schema');
+  assertInsideDir(publicDefinitionsDir, csvExportPath, 'CSV export');
+  assertInsideDir(publicDefinitionsDir, ndjsonExportPath, 'NDJSON export');
+  assertInsideDir(publicDefinitionsDir, sqliteExportPath, 'SQLite export');
+  assertInsideDir(publicDefinitionsDir, providersModulePath, 'providers module');
+  assertInsideDir(publicDefinitionsDir, publicTypesPath, 'types');
+  assertInsideDir(clientDir, clientTypesPath, 'client types');
+  if (overlayBuild) {
+    // Overlay data must never end up where the site or the deploy would publish it.
+    assertOutsideDir(publicDir, opts.out, 'overlay output');
+    assertOutsideDir(astroDataDir, opts.out, 'overlay output');
+    assertInsideDir(opts.out, overlayBuild.manifestPath, 'overlay manifest');
+    assertInsideDir(opts.out, overlayBuild.catalogPath, 'overlay catalog');
+  }
 
   await writeJsonPretty(publicManifestPath, manifestPublic);
   await writeJsonPretty(internalCatalogPath, manifestInternal);
   await writeJsonPretty(schemaPath, schema);
+  await writeJsonPretty(canonicalManifestPath, canonicalManifest);
+  await writeJsonPretty(canonicalSchemaPath, canonicalSchema);
+  await fsp.copyFile(costEstimatorSrcPath, publicCostEstimatorPath);
+  await fsp.copyFile(modelLifecycleSrcPath, publicModelLifecyclePath);
+  await writeJsonPretty(changelogPath, changelog);
+  await writeJsonPretty(changelogSchemaPath, changelogSchema);
+  await fsp.writeFile(changelogFeedPath, renderAtomFeed(changelog, { baseUrl: BASE_URL, builtAt: generatedAt }), 'utf8');
+  await writeJsonPretty(retiringPath, retiring);
+  await writeJsonPretty(retiringSchemaPath, retiringSchema);
+  await fsp.writeFile(csvExportPath, renderDefinitionsCsv(manifestPublic), 'utf8');
+  await fsp.writeFile(ndjsonExportPath, renderDefinitionsNdjson(manifestPublic), 'utf8');
+  await fsp.writeFile(sqliteExportPath, await renderDefinitionsSqlite(manifestPublic));
+  await fsp.writeFile(providersModulePath, renderProvidersModule(manifestPublic), 'utf8');
+
+  const types = renderSchemaDeclarations(schema, {
+    rootName: 'DefinitionsManifest',
+    header: `Types for ${BASE_URL}/definitions/definitions.json.\n\nGenerated by build-definitions.mjs from /definitions/schema.json. Do not edit.`,
+  });
+  await fsp.writeFile(publicTypesPath, types, 'utf8');
+  await fsp.writeFile(clientTypesPath, types, 'utf8');
+
+  const { providerShardCount, modelShardCount } = await writeDefinitionShards(manifestPublic);
+
+  if (overlayBuild) {
+    await fsp.mkdir(opts.out, { recursive: true });
+    await writeJsonPretty(overlayBuild.manifestPath, overlayBuild.manifestPublic);
+    await writeJsonPretty(overlayBuild.catalogPath, overlayBuild.manifestInternal);
+  }
 
   console.log(`Providers: ${manifestPublic.total_providers}`);
   console.log(`Models:    ${manifestPublic.total_models}`);
   console.log(`Manifest:  ${path.relative(websiteDir, publicManifestPath)}`);
   console.log(`Catalog:   ${path.relative(websiteDir, internalCatalogPath)}`);
   console.log(`Schema:    ${path.relative(websiteDir, schemaPath)}`);
+  console.log(
+    `Canonical: ${path.relative(websiteDir, canonicalManifestPath)} (${canonicalManifest.total_canonical_models} models, ${canonicalManifest.total_multi_provider} on 2+ providers)`,
+  );
+  console.log(`Estimator: ${path.relative(websiteDir, publicCostEstimatorPath)}`);
+  console.log(`Lifecycle: ${path.relative(websiteDir, publicModelLifecyclePath)}`);
+  console.log(`Changelog: ${path.relative(websiteDir, changelogPath)} (${changelogStatus})`);
+  console.log(
+    `Retiring:  ${path.relative(websiteDir, retiringPath)} (${retiring.total_models} within ${retiring.window_days} days)`,
+  );
+  console.log(
+    `Exports:   ${[csvExportPath, ndjsonExportPath, sqliteExportPath].map((p) => path.relative(websiteDir, p)).join(', ')}`,
+  );
+  console.log(
+    `Types:     ${[publicTypesPath, clientTypesPath, providersModulePath].map((p) => path.relative(websiteDir, p)).join(', ')}`,
+  );
+  console.log(`Shards:    ${providerShardCount} providers, ${modelShardCount} models`);
+  console.log(`           ${path.relative(websiteDir, publicProvidersDir)}/, ${path.relative(websiteDir, publicModelsDir)}/`);
+  if (overlayBuild) {
+    console.log(
+      `Overlays:  ${overlays.map((o) => o.name).join(', ')} (${overlayBuild.touched} models added or patched, ${overlayBuild.manifestPublic.total_models} models in total)`,
+    );
+    console.log(
+      `           ${[overlayBuild.manifestPath, overlayBuild.catalogPath].map((p) => path.relative(websiteDir, p)).join(', ')}`,
+    );
+  }
+  console.log(`Issues:    ${issueSummary.errors} errors, ${issueSummary.warnings} warnings${opts.strict ? ' (strict)' : ''}`);
   console.log('');
 }
 
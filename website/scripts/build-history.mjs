@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+/**
+ * Prebuild step: price and limit history per model.
+ *
+ * Runs after build-definitions.mjs and reads the catalog it writes to src/data/.
+ * Older values come from the git history of models.dev/providers (when it is a git
+ * checkout) and from any archived definitions.json files passed with --archive.
+ * Writes:
+ *
+ * - public/definitions/history/<provider>/<model>.json, one per current model
+ * - public/definitions/history.schema.json
+ * - src/data/definitions-history.json, the models whose values changed, for the
+ *   charts on the model pages
+ *
+ * Usage (from website/):
+ *   node scripts/build-history.mjs [--archive <file|dir>]… [--no-git]
+ *
+ * CI checks the submodule out shallow; run `git -C models.dev fetch --unshallow`
+ * first for the full history.
+ */
+
+import * as fsp from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { buildModelHistory, historyKey, readGitObservations, readManifestObservations } from './lib/definitions-history.mjs';
+import { assertMatchesSchema } from './lib/json-schema.mjs';
+
+const VERSION = '1.0.0';
+const BASE_URL = 'https://www.llmspec.dev';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const websiteDir = path.resolve(__dirname, '..');
+const repoRootDir = path.resolve(websiteDir, '..');
+const providersRootDir = path.resolve(repoRootDir, 'models.dev', 'providers');
+
+const publicDefinitionsDir = path.resolve(websiteDir, 'public', 'definitions');
+const publicHistoryDir = path.resolve(publicDefinitionsDir, 'history');
+const historySchemaPath = path.resolve(publicDefinitionsDir, 'history.schema.json');
+
+const astroDataDir = path.resolve(websiteDir, 'src', 'data');
+const definitionsCatalogPath = path.resolve(astroDataDir, 'definitions-catalog.json');
+const historyCatalogPath = path.resolve(astroDataDir, 'definitions-history.json');
+
+function warn(msg) {
+  console.warn(`\u001b[33m[warn]\u001b[0m ${msg}`);
+}
+
+function assertInsideDir(baseDirAbs, targetAbs, label = '') {
+  const rel = path.relative(baseDirAbs, targetAbs);
+  const relPosix = rel.split(path.sep).join('/');
+  if (path.isAbsolute(rel) || relPosix === '..' || relPosix.startsWith('../')) {
+    throw new Error(
+      `Output boundary violation${label ? ` (${label})` : ''}: ${targetAbs} is outside ${baseDirAbs}`,
+    );
+  }
+}
+
+async function writeJsonPretty(fileAbs, data) {
+  await fsp.mkdir(path.dirname(fileAbs), { recursive: true });
+  await fsp.writeFile(fileAbs, `${JSON.stringify(data, null, 2)}\n`, 'utf8');
+}
+
+function parseCliArgs(argv) {
+  const opts = { archives: [], git: true };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    const [flag, inlineValue] = arg.startsWith('--') && arg.includes('=') ? arg.split(/=(.*)/s, 2) : [arg, undefined];
+    const takeValue = () => {
+      if (inlineValue !== undefined) return inlineValue;
+      const next = argv[i + 1];
+      if (next === undefined || next.startsWith('--')) throw new Error(`Missing value for ${flag}`);
+      i += 1;
+      return next;
+    };
+
+    if (flag === '--archive') opts.archives.push(takeValue());
+    else if (flag === '--no-git') opts.git = false;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+
+  return opts;
+}
+
+async function readCatalog(fileAbs) {
+  try {
+    return JSON.parse(await fsp.readFile(fileAbs, 'utf8'));
+  } catch (err) {
+    if (err?.code === 'ENOENT') {
+      throw new Error(`${path.relative(websiteDir, fileAbs)} not found. Run build-definitions.mjs first.`);
+    }
+    throw err;
+  }
+}
+
+/** Archived manifests: a definitions.json file, or every *.json in a directory. */
+async function listArchiveFiles(archive) {
+  const archiveAbs = path.resolve(process.cwd(), archive);
+  const st = await fsp.stat(archiveAbs).catch(() => null);
+  if (!st) {
+    warn(`Archive not found: ${archiveAbs}`);
+    return [];
+  }
+  if (!st.isDirectory()) return [archiveAbs];
+
+  const entries = await fsp.readdir(archiveAbs, { withFileTypes: true });
+  return entries
+    .filter((ent) => ent.isFile() && ent.name.endsWith('.json'))
+    .map((ent) => path.resolve(archiveAbs, ent.name))
+    .sort();
+}
+
+function buildHistoryJsonSchema() {
+  const rate = { type: 'number', minimum: 0 };
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: `${BASE_URL}/definitions/history.schema.json`,
+    title: 'LLMSpec Model Price and Limit History',
+    type: 'object',
+    additionalProperties: false,
+    required: ['version', 'generated_at', 'base_url', 'provider', 'model_id', 'name', 'total_points', 'points'],
+    properties: {
+      version: { type: 'string' },
+      generated_at: { type: 'string', format: 'date-time' },
+      base_url: { type: 'string' },
+      provider: { type: 'string' },
+      model_id: { type: 'string' },
+      name: { type: 'string' },
+      total_points: { type: 'integer', minimum: 1 },
+      points: {
+        type: 'array',
+        description: 'Oldest first. A point is only recorded when a cost rate or limit changed.',
+        items: { $ref: '#/$defs/point' },
+      },
+    },
+    $defs: {
+      point: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['observed_at', 'source', 'limit'],
+        properties: {
+          observed_at: { type: 'string', format: 'date-time' },
+          source: {
+            type: 'string',
+            enum: ['git', 'archive', 'build'],
+            description: 'git: a commit to the TOML source; archive: an archived manifest; build: the current build.',
+          },
+          commit: { type: 'string', description: 'Commit in the models.dev repository (source git only).' },
+          cost: {
+            type: 'object',
+            additionalProperties: false,
+            description: 'Base rates in USD per million tokens. Tiered rates are not tracked.',
+            properties: {
+              input: rate,
+              output: rate,
+              cache_read: rate,
+              cache_write: rate,
+              reasoning: rate,
+              input_audio: rate,
+              output_audio: rate,
+              image: rate,
+            },
+          },
+          limit: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['context', 'output'],
+            properties: {
+              context: { type: ['number', 'null'], minimum: 0 },
+              output: { type: ['number', 'null'], minimum: 0 },
+              input: { type: 'number', minimum: 0 },
+            },
+          },
+        },
+      },
+    },
+  };
+}
+
+async function main() {
+  const opts = parseCliArgs(process.argv.slice(2));
+  const catalog = await readCatalog(definitionsCatalogPath);
+  const generatedAt = catalog.generated_at;
+
+  // historyKey → observations from every source; the current build goes in last.
+  const observations = new Map();
+
+  let gitStatus = 'skipped (--no-git)';
+  if (opts.git) {
+    const git = await readGitObservations(providersRootDir, { observations }).catch((err) => {
+      warn(`Could not read git history of ${path.relative(repoRootDir, providersRootDir)}: ${err.message}`);
+      return null;
+    });
+    if (git === undefined) gitStatus = 'not a git checkout';
+    else if (git) {
+      gitStatus = `${git.commits} commits${git.shallow ? ' (shallow clone)' : ''}`;
+      if (git.shallow) warn('models.dev is a shallow clone; run `git -C models.dev fetch --unshallow` for the full history');
+    }
+  }
+
+  let archiveCount = 0;
+  for (const archive of opts.archives) {
+    for (const fileAbs of await listArchiveFiles(archive)) {
+      try {
+        const manifest = JSON.parse(await fsp.readFile(fileAbs, 'utf8'));
+        if (typeof manifest?.generated_at !== 'string' || !Array.isArray(manifest?.providers)) {
+          warn(`Not a definitions manifest (no generated_at or providers), skipping: ${fileAbs}`);
+          continue;
+        }
+        readManifestObservations(manifest, { observations });
+        archiveCount += 1;
+      } catch (err) {
+        warn(`Could not read archived manifest ${fileAbs}: ${err instanceof Error ? err.message : String(err)}`);
+      }
+    }
+  }
+
+  readManifestObservations(catalog, { source: 'build', observations });
+
+  const schema = buildHistoryJsonSchema();
+  const charted = {};
+  let fileCount = 0;
+  let pointCount = 0;
+
+  assertInsideDir(publicDefinitionsDir, publicHistoryDir, 'history');
+  assertInsideDir(publicDefinitionsDir, historySchemaPath, 'history schema');
+  assertInsideDir(astroDataDir, historyCatalogPath, 'history catalog');
+  await fsp.rm(publicHistoryDir, { recursive: true, force: true });
+
+  for (const provider of catalog.providers ?? []) {
+    const providerHistoryDir = path.resolve(publicHistoryDir, provider.id);
+    assertInsideDir(publicHistoryDir, providerHistoryDir, `history: ${provider.id}`);
+
+    for (const model of provider.models ?? []) {
+      const key = historyKey(provider.id, model.id);
+      const points = buildModelHistory(observations.get(key) ?? []);
+      const history = {
+        version: VERSION,
+        generated_at: generatedAt,
+        base_url: BASE_URL,
+        provider: provider.id,
+        model_id: model.id,
+        name: model.name,
+        total_points: points.length,
+        points,
+      };
+      assertMatchesSchema(schema, history, `history/${key}.json`);
+
+      // Model ids may contain '/', which become nested directories like the model shards.
+      const fileAbs = path.resolve(providerHistoryDir, `${model.id}.json`);
+      assertInsideDir(providerHistoryDir, fileAbs, `history: ${key}`);
+      await writeJsonPretty(fileAbs, history);
+      fileCount += 1;
+      pointCount += points.length;
+      if (points.length > 1) charted[key] = points;
+    }
+  }
+
+  await writeJsonPretty(historySchemaPath, schema);
+  await writeJsonPretty(historyCatalogPath, {
+    version: VERSION,
+    generated_at: generatedAt,
+    total_models: Object.keys(charted).length,
+    models: charted,
+  });
+
+  console.log(`\n--- Summary ---`);
+  console.log(`Git:       ${gitStatus}`);
+  console.log(`Archives:  ${archiveCount} manifests`);
+  console.log(`History:   ${path.relative(websiteDir, publicHistoryDir)}/ (${fileCount} models, ${pointCount} points)`);
+  console.log(`Changed:   ${Object.keys(charted).length} models with price or limit changes`);
+  console.log(`Catalog:   ${path.relative(websiteDir, historyCatalogPath)}`);
+  console.log('');
+}
+
+try {
+  await main();
+} catch (err) {
+  console.error(`\n\u001b[31m[error]\u001b[0m build-history.mjs failed`);
+  console.error(err instanceof Error ? err.stack ?? err.message : String(err));
+  process.exitCode = 1;
+}
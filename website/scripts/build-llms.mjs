@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+/**
+ * Prebuild step: Markdown renditions of the catalogs for LLMs.
+ *
+ * Runs after build-skills.mjs and build-definitions.mjs and reads the catalogs they
+ * write to src/data/, plus each SKILL.md from skills/. Writes into public/:
+ *
+ * - llms.txt, llms-full.txt
+ * - skills/<group>/<skill>.md
+ * - definitions/<provider>.md
+ *
+ * Rendering and token budgets live in lib/llms-markdown.mjs. Markdown files from
+ * skills or providers that no longer exist are removed.
+ */
+
+import * as fsp from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import matter from 'gray-matter';
+
+import {
+  estimateTokens,
+  providerMarkdownUrl,
+  renderLlmsFull,
+  renderLlmsIndex,
+  renderProviderMarkdown,
+  renderSkillMarkdown,
+  skillMarkdownUrl,
+} from './lib/llms-markdown.mjs';
+
+const BASE_URL = 'https://www.llmspec.dev';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const websiteDir = path.resolve(__dirname, '..');
+const repoRootDir = path.resolve(websiteDir, '..');
+const skillsRootDir = path.resolve(repoRootDir, 'skills');
+
+const publicDir = path.resolve(websiteDir, 'public');
+const publicSkillsDir = path.resolve(publicDir, 'skills');
+const publicDefinitionsDir = path.resolve(publicDir, 'definitions');
+const llmsTxtPath = path.resolve(publicDir, 'llms.txt');
+const llmsFullPath = path.resolve(publicDir, 'llms-full.txt');
+
+const astroDataDir = path.resolve(websiteDir, 'src', 'data');
+const skillsCatalogPath = path.resolve(astroDataDir, 'skills-catalog.json');
+const definitionsCatalogPath = path.resolve(astroDataDir, 'definitions-catalog.json');
+
+function warn(msg) {
+  console.warn(`\u001b[33m[warn]\u001b[0m ${msg}`);
+}
+
+function assertInsideDir(baseDirAbs, targetAbs, label = '') {
+  const rel = path.relative(baseDirAbs, targetAbs);
+  const relPosix = rel.split(path.sep).join('/');
+  if (path.isAbsolute(rel) || relPosix === '..' || relPosix.startsWith('../')) {
+    throw new Error(
+      `Output boundary violation${label ? ` (${label})` : ''}: ${targetAbs} is outside ${baseDirAbs}`,
+    );
+  }
+}
+
+async function readCatalog(fileAbs, producer) {
+  try {
+    return JSON.parse(await fsp.readFile(fileAbs, 'utf8'));
+  } catch (err) {
+    if (err?.code === 'ENOENT') {
+      throw new Error(`${path.relative(websiteDir, fileAbs)} not found. Run ${producer} first.`);
+    }
+    throw err;
+  }
+}
+
+async function readSkillBody(skill) {
+  const skillMdAbs = path.resolve(skillsRootDir, skill.source_dir, 'SKILL.md');
+  try {
+    return matter(await fsp.readFile(skillMdAbs, 'utf8')).content;
+  } catch (err) {
+    warn(`Could not read ${path.relative(repoRootDir, skillMdAbs)}: ${err instanceof Error ? err.message : String(err)}`);
+    return '';
+  }
+}
+
+async function writeMarkdown(fileAbs, text, written) {
+  await fsp.mkdir(path.dirname(fileAbs), { recursive: true });
+  await fsp.writeFile(fileAbs, text, 'utf8');
+  written.add(fileAbs);
+}
+
+/**
+ * Deletes *.md under public/definitions/ and public/skills/<group>/ that this run
+ * didn't write. Only those two places hold generated Markdown.
+ */
+async function removeStaleMarkdown(written) {
+  const candidates = [];
+  const listMarkdown = async (dirAbs) => {
+    let entries = [];
+    try {
+      entries = await fsp.readdir(dirAbs, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const ent of entries) {
+      if (ent.isFile() && ent.name.endsWith('.md')) candidates.push(path.resolve(dirAbs, ent.name));
+    }
+  };
+
+  await listMarkdown(publicDefinitionsDir);
+  for (const ent of await fsp.readdir(publicSkillsDir, { withFileTypes: true }).catch(() => [])) {
+    if (ent.isDirectory() && ent.name !== 'downloads') await listMarkdown(path.resolve(publicSkillsDir, ent.name));
+  }
+
+  let removed = 0;
+  for (const fileAbs of candidates) {
+    if (written.has(fileAbs)) continue;
+    await fsp.rm(fileAbs, { force: true });
+    removed += 1;
+  }
+  return removed;
+}
+
+async function main() {
+  const skillsCatalog = await readCatalog(skillsCatalogPath, 'build-skills.mjs');
+  const definitionsCatalog = await readCatalog(definitionsCatalogPath, 'build-definitions.mjs');
+  const baseUrl = String(skillsCatalog.base_url ?? BASE_URL).replace(/\/+$/, '');
+
+  const written = new Set();
+  const tokenCounts = new Map();
+  let skillCount = 0;
+  let providerCount = 0;
+
+  for (const group of skillsCatalog.groups ?? []) {
+    for (const skill of group.skills ?? []) {
+      const fileAbs = path.resolve(publicSkillsDir, group.slug, `${skill.folder}.md`);
+      assertInsideDir(publicSkillsDir, fileAbs, `skill markdown: ${skill.folder}`);
+
+      const text = renderSkillMarkdown({ skill, group, body: await readSkillBody(skill), baseUrl });
+      await writeMarkdown(fileAbs, text, written);
+      tokenCounts.set(skillMarkdownUrl(baseUrl, group.slug, skill), estimateTokens(text));
+      skillCount += 1;
+    }
+  }
+
+  for (const provider of definitionsCatalog.providers ?? []) {
+    const fileAbs = path.resolve(publicDefinitionsDir, `${provider.id}.md`);
+    assertInsideDir(publicDefinitionsDir, fileAbs, `provider markdown: ${provider.id}`);
+
+    const text = renderProviderMarkdown({ provider, baseUrl });
+    await writeMarkdown(fileAbs, text, written);
+    tokenCounts.set(providerMarkdownUrl(baseUrl, provider), estimateTokens(text));
+    providerCount += 1;
+  }
+
+  const full = renderLlmsFull({ skillsCatalog, definitionsCatalog, baseUrl });
+  const index = renderLlmsIndex({
+    skillsCatalog,
+    definitionsCatalog,
+    baseUrl,
+    tokenCounts,
+    fullTokens: estimateTokens(full),
+  });
+  await fsp.writeFile(llmsFullPath, full, 'utf8');
+  await fsp.writeFile(llmsTxtPath, index, 'utf8');
+
+  const removed = await removeStaleMarkdown(written);
+
+  console.log(`\n--- Summary ---`);
+  console.log(`Skills:        ${skillCount} Markdown files`);
+  console.log(`Providers:     ${providerCount} Markdown files`);
+  console.log(`Stale removed: ${removed}`);
+  console.log(`llms.txt:      ${path.relative(websiteDir, llmsTxtPath)} (~${estimateTokens(index)} tokens)`);
+  console.log(`llms-full.txt: ${path.relative(websiteDir, llmsFullPath)} (~${estimateTokens(full)} tokens)`);
+  console.log('');
+}
+
+try {
+  await main();
+} catch (err) {
+  console.error(`\n\u001b[31m[error]\u001b[0m build-llms.mjs failed`);
+  console.error(err instanceof Error ? err.stack ?? err.message : String(err));
+  process.exitCode = 1;
+}
@@ -6,23 +6,41 @@
  * Requirements:
  * - ESM (project has "type": "module")
  * - Uses gray-matter for YAML frontmatter parsing
- * - Uses archiver for streaming ZIP creation (binary-safe)
+ * - Uses archiver for ZIP creation (binary-safe), through lib/skill-zip.mjs
+ * - SKILL.md files are linted before packaging (--strict fails on lint errors,
+ *   --lint-only stops after the lint pass)
+ * - ZIPs are deterministic (sorted entries, fixed timestamps, normalized modes) and
+ *   only rebuilt when a skill's included files change (content-hash cache)
+ * - Bundle ZIPs (all skills, one per group, curated ones from skills/bundles.json) reuse
+ *   the same file lists and cache
  *
  * This script is intentionally pedantic + defensive. It is critical build infra.
  */
 
-import { createWriteStream } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { createReadStream } from 'node:fs';
 import * as fsp from 'node:fs/promises';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
-import archiver from 'archiver';
 import matter from 'gray-matter';
 
+import { assertMatchesSchema } from './lib/json-schema.mjs';
+import { createZip } from './lib/skill-zip.mjs';
+import { BUNDLE_CONFIG_SCHEMA, resolveBundles } from './lib/skill-bundles.mjs';
+import { renderSchemaDeclarations } from './lib/schema-to-dts.mjs';
+import { SKILL_LINT_RULES, lintSkill } from './lib/skill-lint.mjs';
+import { SEMVER_RE, extractSkillMetadata } from './lib/skill-metadata.mjs';
+import { buildSearchDocument, buildSearchIndex } from './lib/skill-search.mjs';
+
 const VERSION = '1.0.0';
 const BASE_URL = 'https://www.llmspec.dev';
 const PUBLIC_DESC_MAX_CHARS = 500;
 
+// Bump when ZIP layout/options change so every cached ZIP gets rebuilt.
+// 2: entries appended in order (file() stats them concurrently, see skill-zip.mjs).
+const PACKAGER_VERSION = 2;
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
@@ -32,12 +50,21 @@ const skillsRootDir = path.resolve(repoRootDir, 'skills');
 
 const publicDir = path.resolve(websiteDir, 'public');
 const downloadsDir = path.resolve(publicDir, 'skills', 'downloads');
+const bundlesDir = path.resolve(downloadsDir, 'bundles');
+const bundleConfigPath = path.resolve(skillsRootDir, 'bundles.json');
 const publicManifestPath = path.resolve(publicDir, 'skills', 'skills.json');
 const schemaPath = path.resolve(publicDir, 'skills', 'schema.json');
+const searchIndexPath = path.resolve(publicDir, 'skills', 'search-index.json');
+// TypeScript types generated from the schema: published, and part of the client package.
+const publicTypesPath = path.resolve(publicDir, 'skills', 'skills.d.ts');
+const clientTypesPath = path.resolve(websiteDir, 'client', 'skills.d.ts');
 
 const astroDataDir = path.resolve(websiteDir, 'src', 'data');
 const internalCatalogPath = path.resolve(astroDataDir, 'skills-catalog.json');
 
+// Not under public/: the cache is build state, not something to publish.
+const packageCachePath = path.resolve(websiteDir, '.cache', 'skills-packages.json');
+
 /**
  * Keep filtering logic in one place. DRY or suffer.
  */
@@ -150,6 +177,7 @@ function sortAlphaCaseInsensitive(values) {
 
 async function ensureDirs() {
   await fsp.mkdir(downloadsDir, { recursive: true });
+  await fsp.mkdir(bundlesDir, { recursive: true });
   await fsp.mkdir(path.dirname(publicManifestPath), { recursive: true });
   await fsp.mkdir(path.dirname(schemaPath), { recursive: true });
   await fsp.mkdir(astroDataDir, { recursive: true });
@@ -194,21 +222,20 @@ async function parseSkillFrontmatter(skillMdAbs, fallbackName) {
       ? parsed.data.description.trim()
       : '';
 
-    if (!description) {
-      console.warn(`[33m[warn][0m Missing/empty description in frontmatter: ${skillMdAbs}`);
-    }
-
-    return { name, description };
+    // Missing/empty descriptions are reported by the lint pass.
+    return { name, description, data: parsed.data, raw, body: parsed.content };
   } catch (err) {
     console.warn(`[33m[warn][0m Failed to parse SKILL.md frontmatter: ${skillMdAbs}`);
     console.warn(`       ${err instanceof Error ? err.message : String(err)}`);
-    return { name: fallbackName, description: '' };
+    return { name: fallbackName, description: '', data: undefined, raw: undefined, body: '' };
   }
 }
 
-async function countIncludedFiles(rootAbs) {
+async function listIncludedFiles(rootAbs) {
   // Async DFS. We keep it simple and explicit so behavior is obvious.
-  let count = 0;
+  // Returns [{ abs, rel, size, executable }] sorted by rel (code unit order, not locale) so
+  // hashes and ZIP entry order are identical on every machine.
+  const files = [];
 
   async function walk(dirAbs, relFromRoot) {
     const entries = await fsp.readdir(dirAbs, { withFileTypes: true });
@@ -221,7 +248,8 @@ async function countIncludedFiles(rootAbs) {
       if (ent.isDirectory()) {
         await walk(childAbs, childRel);
       } else if (ent.isFile()) {
-        count += 1;
+        const st = await fsp.stat(childAbs);
+        files.push({ abs: childAbs, rel: childRel, size: st.size, executable: (st.mode & 0o111) !== 0 });
       } else {
         // ignore symlinks/sockets/etc (YAGNI)
       }
@@ -229,7 +257,58 @@ async function countIncludedFiles(rootAbs) {
   }
 
   await walk(rootAbs, '');
-  return count;
+  return files.sort((a, b) => (a.rel < b.rel ? -1 : a.rel > b.rel ? 1 : 0));
+}
+
+async function sha256File(fileAbs) {
+  return await new Promise((resolve, reject) => {
+    const hash = createHash('sha256');
+    createReadStream(fileAbs)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+async function hashSkillContents(skillFolderName, files) {
+  // Everything that ends up in the ZIP: folder name, paths, modes and bytes. The
+  // packager version is left out so this is published as `content_sha256` and only
+  // changes with the source; the cache is dropped on a packager bump anyway.
+  const hash = createHash('sha256');
+  hash.update(`${skillFolderName}\n`);
+  for (const f of files) {
+    hash.update(`${f.rel}\0${f.executable ? 'x' : '-'}\0${await sha256File(f.abs)}\n`);
+  }
+  return hash.digest('hex');
+}
+
+async function readPackageCache() {
+  try {
+    const parsed = JSON.parse(await fsp.readFile(packageCachePath, 'utf8'));
+    if (parsed?.packager_version === PACKAGER_VERSION && parsed.skills && typeof parsed.skills === 'object') {
+      return { skills: parsed.skills, bundles: parsed.bundles ?? {} };
+    }
+  } catch {
+    // Missing or corrupt cache just means a full rebuild.
+  }
+  return { skills: {}, bundles: {} };
+}
+
+function hashBundleContents(bundleId, members) {
+  // Member content hashes already cover paths, modes and bytes.
+  const hash = createHash('sha256');
+  hash.update(`packager:${PACKAGER_VERSION}\nbundle:${bundleId}\n`);
+  for (const m of members) hash.update(`${m.folder}\0${m.contentHash}\n`);
+  return hash.digest('hex');
+}
+
+async function readBundleConfig() {
+  // Optional. A config that exists but is malformed fails the build: a silently missing
+  // bundle is worse than a red CI run.
+  if (!(await pathExists(bundleConfigPath))) return undefined;
+  const config = JSON.parse(await fsp.readFile(bundleConfigPath, 'utf8'));
+  assertMatchesSchema(BUNDLE_CONFIG_SCHEMA, config, path.relative(repoRootDir, bundleConfigPath));
+  return config;
 }
 
 async function detectSkillContents(skillDirAbs) {
@@ -251,36 +330,6 @@ async function detectSkillContents(skillDirAbs) {
   };
 }
 
-async function createSkillZip({ skillDirAbs, skillFolderName, zipOutAbs }) {
-  // Overwrites existing zip atomically-ish (write stream truncates).
-  return await new Promise((resolve, reject) => {
-    const output = createWriteStream(zipOutAbs);
-    const archive = archiver('zip', { zlib: { level: 9 } });
-
-    output.on('close', () => resolve());
-    output.on('error', (err) => reject(err));
-    archive.on('warning', (err) => {
-      // Archiver uses warning for non-fatal things like missing files.
-      console.warn(`[33m[warn][0m Archiver warning for ${skillFolderName}: ${err.message}`);
-    });
-    archive.on('error', (err) => reject(err));
-
-    archive.pipe(output);
-
-    archive.directory(skillDirAbs, skillFolderName, (entry) => {
-      // entry.name is the path inside the archive.
-      const isDirectory =
-        entry?.type === 'directory' ||
-        (typeof entry?.stats?.isDirectory === 'function' && entry.stats.isDirectory());
-
-      if (shouldExcludePath(entry.name, { isDirectory })) return false;
-      return entry;
-    });
-
-    void archive.finalize();
-  });
-}
-
 function buildJsonSchema() {
   // A reasonably strict schema. Not perfect, but useful and future-proof-ish.
   return {
@@ -289,7 +338,7 @@ function buildJsonSchema() {
     title: 'LLMSpec Skills Manifest',
     type: 'object',
     additionalProperties: false,
-    required: ['version', 'generated_at', 'base_url', 'total_skills', 'groups'],
+    required: ['version', 'generated_at', 'base_url', 'total_skills', 'groups', 'bundles'],
     properties: {
       version: { type: 'string' },
       generated_at: { type: 'string', format: 'date-time' },
@@ -299,8 +348,48 @@ function buildJsonSchema() {
         type: 'array',
         items: { $ref: '#/$defs/group' },
       },
+      bundles: {
+        type: 'array',
+        items: { $ref: '#/$defs/bundle' },
+      },
     },
     $defs: {
+      bundle: {
+        type: 'object',
+        additionalProperties: false,
+        required: [
+          'id',
+          'name',
+          'kind',
+          'description',
+          'download_url',
+          'zip_size_bytes',
+          'sha256',
+          'file_count',
+          'skill_count',
+          'skills',
+        ],
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          kind: {
+            enum: ['catalog', 'group', 'curated'],
+            description: 'catalog: every skill; group: one group; curated: declared in skills/bundles.json.',
+          },
+          description: { type: 'string' },
+          download_url: { type: 'string' },
+          zip_size_bytes: { type: 'integer', minimum: 0 },
+          sha256: { type: 'string', pattern: '^([a-f0-9]{64})?$' },
+          file_count: { type: 'integer', minimum: 0 },
+          skill_count: { type: 'integer', minimum: 0 },
+          skills: {
+            type: 'array',
+            uniqueItems: true,
+            items: { type: 'string' },
+            description: 'Folder names of the contained skills; each is a top-level folder in the ZIP.',
+          },
+        },
+      },
       group: {
         type: 'object',
         additionalProperties: false,
@@ -324,8 +413,17 @@ function buildJsonSchema() {
           'group',
           'download_url',
           'zip_size_bytes',
+          'sha256',
+          'content_sha256',
           'file_count',
           'contents',
+          'license',
+          'version',
+          'dependencies',
+          'languages',
+          'tags',
+          'author',
+          'compatibility',
         ],
         properties: {
           name: { type: 'string' },
@@ -333,6 +431,17 @@ function buildJsonSchema() {
           group: { type: 'string' },
           download_url: { type: 'string' },
           zip_size_bytes: { type: 'integer', minimum: 0 },
+          sha256: {
+            type: 'string',
+            pattern: '^([a-f0-9]{64})?$',
+            description: 'SHA-256 of the ZIP at download_url (hex). Empty if packaging failed.',
+          },
+          content_sha256: {
+            type: 'string',
+            pattern: '^([a-f0-9]{64})?$',
+            description:
+              "SHA-256 over the skill's files (paths, modes and contents), independent of how the ZIP was packaged. Changes only when the skill does. Empty if its files could not be read.",
+          },
           file_count: { type: 'integer', minimum: 0 },
           contents: {
             type: 'object',
@@ -344,6 +453,47 @@ function buildJsonSchema() {
               has_license: { type: 'boolean' },
             },
           },
+          license: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['spdx', 'text', 'file'],
+            properties: {
+              spdx: {
+                type: ['string', 'null'],
+                description: 'SPDX id from frontmatter, or detected from the packaged LICENSE file.',
+              },
+              text: { type: ['string', 'null'], description: 'Frontmatter license string, verbatim.' },
+              file: { type: ['string', 'null'], description: 'Packaged license file, relative to the skill root.' },
+            },
+          },
+          version: {
+            type: ['string', 'null'],
+            pattern: SEMVER_RE.source,
+            description: 'Semver from frontmatter (version or metadata.version); null if undeclared.',
+          },
+          dependencies: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['python', 'node', 'other'],
+            description: 'Declared runtime dependencies: requirements*.txt, package.json and frontmatter.',
+            properties: {
+              python: { type: 'array', items: { type: 'string' } },
+              node: { type: 'array', items: { type: 'string' } },
+              other: { type: 'array', items: { type: 'string' } },
+            },
+          },
+          languages: {
+            type: 'array',
+            uniqueItems: true,
+            items: { type: 'string' },
+            description: 'Script languages detected from packaged file extensions.',
+          },
+          tags: { type: 'array', uniqueItems: true, items: { type: 'string' } },
+          author: { type: ['string', 'null'] },
+          compatibility: {
+            type: ['string', 'null'],
+            description: 'Free-form environment requirements from frontmatter.',
+          },
         },
       },
     },
@@ -355,7 +505,68 @@ async function writeJsonPretty(fileAbs, data) {
   await fsp.writeFile(fileAbs, json, 'utf8');
 }
 
+async function lintAllSkills(groupNames) {
+  // Lint pass over every skill, before anything is packaged. Findings are printed
+  // grouped per skill; the caller decides whether errors are fatal.
+  const findings = [];
+
+  for (const groupName of groupNames) {
+    const groupDirAbs = path.resolve(skillsRootDir, groupName);
+    for (const s of await listSkillDirs(groupDirAbs)) {
+      const skillMdAbs = path.resolve(s.absPath, 'SKILL.md');
+      const { data, raw } = await parseSkillFrontmatter(skillMdAbs, s.dirName);
+      const files = await listIncludedFiles(s.absPath);
+
+      const issues = lintSkill({
+        folderName: s.dirName,
+        frontmatter: data,
+        body: raw ?? (await fsp.readFile(skillMdAbs, 'utf8').catch(() => '')),
+        files: files.map((f) => f.rel),
+      });
+      if (issues.length === 0) continue;
+
+      console.log(`\n🔎 ${groupName}/${s.dirName}`);
+      for (const issue of issues) {
+        const where = issue.line ? `SKILL.md:${issue.line}` : 'SKILL.md';
+        const tag = issue.severity === 'error' ? '[31m[error][0m' : '[33m[warn][0m';
+        console.log(`   ${tag} ${where} ${issue.message} (${issue.rule})`);
+        findings.push({ skill: `${groupName}/${s.dirName}`, ...issue });
+      }
+    }
+  }
+
+  return findings;
+}
+
+function parseCliArgs(argv) {
+  // Same tiny flag parser as build-definitions.mjs.
+  const opts = { strict: false, lintOnly: false };
+  for (const arg of argv) {
+    if (arg === '--strict') opts.strict = true;
+    else if (arg === '--lint-only') opts.lintOnly = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  return opts;
+}
+
+function summarizeLintFindings(findings) {
+  const errors = findings.filter((f) => f.severity === 'error').length;
+  const warnings = findings.length - errors;
+  const skills = new Set(findings.map((f) => f.skill)).size;
+
+  console.log(`\n--- Lint ---`);
+  console.log(`Findings:      ${errors} errors, ${warnings} warnings in ${skills} skills`);
+  for (const [rule, description] of Object.entries(SKILL_LINT_RULES)) {
+    const n = findings.filter((f) => f.rule === rule).length;
+    if (n > 0) console.log(`  ${String(n).padStart(3)} × ${rule} — ${description}`);
+  }
+
+  return { errors, warnings };
+}
+
 async function main() {
+  const opts = parseCliArgs(process.argv.slice(2));
+
   await ensureDirs();
 
   if (!(await isDirectory(skillsRootDir))) {
@@ -364,6 +575,22 @@ async function main() {
 
   const groupNames = await listGroups();
 
+  console.log(`\nLinting skills in: ${skillsRootDir}`);
+  const lintSummary = summarizeLintFindings(await lintAllSkills(groupNames));
+
+  if (opts.strict && lintSummary.errors > 0) {
+    console.error(`\n[31m[error][0m ${lintSummary.errors} lint errors (strict mode). Nothing was packaged.`);
+    process.exitCode = 1;
+    return;
+  }
+  if (opts.lintOnly) {
+    console.log('');
+    return;
+  }
+
+  // Read before packaging so a broken config fails fast.
+  const bundleConfig = await readBundleConfig();
+
   const generatedAt = new Date().toISOString();
   const manifestPublic = {
     version: VERSION,
@@ -371,6 +598,7 @@ async function main() {
     base_url: BASE_URL,
     total_skills: 0,
     groups: [],
+    bundles: [],
   };
 
   const manifestInternal = {
@@ -379,10 +607,19 @@ async function main() {
     base_url: BASE_URL,
     total_skills: 0,
     groups: [],
+    bundles: [],
   };
 
   const seenSkillFolderNames = new Set();
+  const previousCache = await readPackageCache();
+  const nextCache = {};
+  const nextBundleCache = {};
+  // Included files and content hash by folder; bundles are built from these.
+  const skillPackages = new Map();
+  // SKILL.md bodies (frontmatter stripped) by folder, for the search index.
+  const skillBodies = new Map();
   let packagedCount = 0;
+  let reusedCount = 0;
   let errorCount = 0;
   let totalZipBytes = 0;
 
@@ -412,7 +649,7 @@ async function main() {
       const skillDirAbs = s.absPath;
       const skillMdAbs = path.resolve(skillDirAbs, 'SKILL.md');
 
-      const { name: skillName, description: fullDescription } = await parseSkillFrontmatter(
+      const { name: skillName, description: fullDescription, data: frontmatter, body } = await parseSkillFrontmatter(
         skillMdAbs,
         skillFolderName,
       );
@@ -445,23 +682,49 @@ async function main() {
         continue;
       }
 
-      console.log(`
-📦 Packaging ${skillName}...`);
-
       let zipSizeBytes = 0;
+      let zipSha256 = '';
+      let contentSha256 = '';
       let fileCount = 0;
+      let files = [];
       try {
-        // Keep counts aligned with archive contents by using the same exclude rules.
-        fileCount = await countIncludedFiles(skillDirAbs);
+        // Keep counts aligned with archive contents by using the same file list.
+        files = await listIncludedFiles(skillDirAbs);
+        fileCount = files.length;
+
+        const contentHash = await hashSkillContents(skillFolderName, files);
+        contentSha256 = contentHash;
+        skillPackages.set(skillFolderName, { files, contentHash });
+        const cached = previousCache.skills[skillFolderName];
+
+        // Reuse only if the ZIP on disk is still the one we recorded.
+        let reused = false;
+        if (cached?.content_hash === contentHash && (await pathExists(zipOutAbs))) {
+          reused = (await sha256File(zipOutAbs)) === cached.zip_sha256;
+        }
+
+        if (!reused) {
+          console.log(`
+📦 Packaging ${skillName}...`);
+          await createZip({
+            entries: files.map((f) => ({ ...f, name: `${skillFolderName}/${f.rel}` })),
+            label: skillFolderName,
+            zipOutAbs,
+          });
+        }
 
-        await createSkillZip({ skillDirAbs, skillFolderName, zipOutAbs });
         const st = await fsp.stat(zipOutAbs);
         zipSizeBytes = st.size;
-
-        console.log(`   ✅ ${skillFolderName}.zip  ${formatBytes(zipSizeBytes)}  (${fileCount} files)`);
-
+        zipSha256 = reused ? cached.zip_sha256 : await sha256File(zipOutAbs);
+        nextCache[skillFolderName] = { content_hash: contentHash, zip_sha256: zipSha256 };
+
+        if (reused) {
+          reusedCount += 1;
+        } else {
+          console.log(`   ✅ ${skillFolderName}.zip  ${formatBytes(zipSizeBytes)}  (${fileCount} files)`);
+          packagedCount += 1;
+        }
         totalZipBytes += zipSizeBytes;
-        packagedCount += 1;
       } catch (err) {
         errorCount += 1;
         console.warn(`[33m[warn][0m Failed to package ${skillName}: ${zipOutAbs}`);
@@ -469,18 +732,28 @@ async function main() {
 
         // Continue gracefully, but still emit metadata with 0 size.
         zipSizeBytes = 0;
+        zipSha256 = '';
       }
 
       const contents = await detectSkillContents(skillDirAbs);
 
+      const { metadata, warnings: metadataWarnings } = await extractSkillMetadata({ frontmatter, files });
+      for (const w of metadataWarnings) {
+        console.warn(`[33m[warn][0m ${groupName}/${skillFolderName}: ${w}`);
+        errorCount += 1;
+      }
+
       const skillPublic = {
         name: skillName,
         description: truncate(fullDescription, PUBLIC_DESC_MAX_CHARS),
         group: groupSlug,
         download_url: `/skills/downloads/${skillFolderName}.zip`,
         zip_size_bytes: zipSizeBytes,
+        sha256: zipSha256,
+        content_sha256: contentSha256,
         file_count: fileCount,
         contents,
+        ...metadata,
       };
 
       const skillInternal = {
@@ -489,12 +762,20 @@ async function main() {
         group: groupSlug,
         download_url: `/skills/downloads/${skillFolderName}.zip`,
         zip_size_bytes: zipSizeBytes,
+        sha256: zipSha256,
+        content_sha256: contentSha256,
         file_count: fileCount,
         contents,
+        ...metadata,
+        // Internal only: lets the skill pages locate sources and draw the ZIP's file tree.
+        folder: skillFolderName,
+        source_dir: `${groupName}/${skillFolderName}`,
+        files: files.map((f) => ({ path: f.rel, size_bytes: f.size })),
       };
 
       groupOutPublic.skills.push(skillPublic);
       groupOutInternal.skills.push(skillInternal);
+      skillBodies.set(skillFolderName, body);
     }
 
     // Ensure deterministic ordering by the manifest-visible name field.
@@ -511,22 +792,132 @@ async function main() {
   manifestPublic.total_skills = manifestPublic.groups.reduce((acc, g) => acc + g.skill_count, 0);
   manifestInternal.total_skills = manifestInternal.groups.reduce((acc, g) => acc + g.skill_count, 0);
 
+  // --- Bundles
+  const { bundles, warnings: bundleWarnings } = resolveBundles({
+    groups: manifestInternal.groups.map((g) => ({ slug: g.slug, name: g.name, skills: g.skills.map((sk) => sk.folder) })),
+    config: bundleConfig,
+  });
+  for (const w of bundleWarnings) {
+    console.warn(`[33m[warn][0m bundles: ${w}`);
+    errorCount += 1;
+  }
+
+  let bundlePackagedCount = 0;
+  for (const bundle of bundles) {
+    // Skills that failed to package have no file list; leave them out rather than
+    // publishing a bundle that claims them.
+    const members = bundle.skills
+      .filter((folder) => skillPackages.has(folder))
+      .map((folder) => ({ folder, ...skillPackages.get(folder) }));
+    const zipOutAbs = path.resolve(bundlesDir, `${bundle.id}.zip`);
+    const contentHash = hashBundleContents(bundle.id, members);
+    const cached = previousCache.bundles[bundle.id];
+
+    let zipSizeBytes = 0;
+    let zipSha256 = '';
+    try {
+      let reused = false;
+      if (cached?.content_hash === contentHash && (await pathExists(zipOutAbs))) {
+        reused = (await sha256File(zipOutAbs)) === cached.zip_sha256;
+      }
+
+      if (!reused) {
+        await createZip({
+          entries: members.flatMap((m) => m.files.map((f) => ({ ...f, name: `${m.folder}/${f.rel}` }))),
+          label: `bundle ${bundle.id}`,
+          zipOutAbs,
+        });
+        bundlePackagedCount += 1;
+      }
+
+      zipSizeBytes = (await fsp.stat(zipOutAbs)).size;
+      zipSha256 = reused ? cached.zip_sha256 : await sha256File(zipOutAbs);
+      nextBundleCache[bundle.id] = { content_hash: contentHash, zip_sha256: zipSha256 };
+    } catch (err) {
+      errorCount += 1;
+      console.warn(`[33m[warn][0m Failed to package bundle ${bundle.id}: ${zipOutAbs}`);
+      console.warn(`       ${err instanceof Error ? err.stack ?? err.message : String(err)}`);
+    }
+
+    const bundleOut = {
+      id: bundle.id,
+      name: bundle.name,
+      kind: bundle.kind,
+      description: bundle.description,
+      download_url: `/skills/downloads/bundles/${bundle.id}.zip`,
+      zip_size_bytes: zipSizeBytes,
+      sha256: zipSha256,
+      file_count: members.reduce((acc, m) => acc + m.files.length, 0),
+      skill_count: members.length,
+      skills: members.map((m) => m.folder),
+    };
+    manifestPublic.bundles.push(bundleOut);
+    manifestInternal.bundles.push(bundleOut);
+  }
+
   // Schema is based on public manifest format.
   const schema = buildJsonSchema();
 
+  // Self-check: never publish a manifest that violates the schema we publish next to it.
+  assertMatchesSchema(schema, manifestPublic, 'skills.json');
+
   await writeJsonPretty(publicManifestPath, manifestPublic);
   await writeJsonPretty(internalCatalogPath, manifestInternal);
   await writeJsonPretty(schemaPath, schema);
 
+  const types = renderSchemaDeclarations(schema, {
+    rootName: 'SkillsManifest',
+    header: `Types for ${BASE_URL}/skills/skills.json.\n\nGenerated by build-skills.mjs from /skills/schema.json. Do not edit.`,
+  });
+  await fsp.writeFile(publicTypesPath, types, 'utf8');
+  await fsp.writeFile(clientTypesPath, types, 'utf8');
+
+  // Same order as the manifest: group folders, then skill names.
+  const searchDocuments = manifestInternal.groups.flatMap((group) =>
+    group.skills.map((skill) =>
+      buildSearchDocument({ skill, groupName: group.name, body: skillBodies.get(skill.folder) }),
+    ),
+  );
+  const searchIndex = buildSearchIndex(searchDocuments, { generatedAt: manifestPublic.generated_at });
+  await writeJsonPretty(searchIndexPath, searchIndex);
+
+  // Drop ZIPs of skills that were removed or renamed so they aren't published.
+  let removedCount = 0;
+  for (const ent of await fsp.readdir(downloadsDir, { withFileTypes: true })) {
+    if (!ent.isFile() || !ent.name.endsWith('.zip')) continue;
+    if (seenSkillFolderNames.has(ent.name.slice(0, -'.zip'.length))) continue;
+    await fsp.rm(path.resolve(downloadsDir, ent.name), { force: true });
+    removedCount += 1;
+  }
+  for (const ent of await fsp.readdir(bundlesDir, { withFileTypes: true })) {
+    if (!ent.isFile() || !ent.name.endsWith('.zip')) continue;
+    if (nextBundleCache[ent.name.slice(0, -'.zip'.length)]) continue;
+    await fsp.rm(path.resolve(bundlesDir, ent.name), { force: true });
+    removedCount += 1;
+  }
+
+  await fsp.mkdir(path.dirname(packageCachePath), { recursive: true });
+  await writeJsonPretty(packageCachePath, {
+    packager_version: PACKAGER_VERSION,
+    skills: nextCache,
+    bundles: nextBundleCache,
+  });
+
   console.log(`\n--- Summary ---`);
   console.log(`Groups:        ${manifestPublic.groups.length}`);
   console.log(`Skills:        ${manifestPublic.total_skills}`);
   console.log(`Packaged:      ${packagedCount}`);
+  console.log(`Unchanged:     ${reusedCount} (cached)`);
+  console.log(`Bundles:       ${manifestPublic.bundles.length} (${bundlePackagedCount} packaged)`);
+  console.log(`Stale removed: ${removedCount}`);
   console.log(`ZIP total:     ${formatBytes(totalZipBytes)}`);
   console.log(`Warnings:      ${errorCount}`);
+  console.log(`Lint:          ${lintSummary.errors} errors, ${lintSummary.warnings} warnings`);
   console.log(`Manifest:      ${path.relative(websiteDir, publicManifestPath)}`);
   console.log(`Catalog:       ${path.relative(websiteDir, internalCatalogPath)}`);
   console.log(`Schema:        ${path.relative(websiteDir, schemaPath)}`);
+  console.log(`Types:         ${path.relative(websiteDir, publicTypesPath)}, ${path.relative(websiteDir, clientTypesPath)}`);
+  console.log(`Search index:  ${path.relative(websiteDir, searchIndexPath)}`);
   console.log('');
 }
 
@@ -0,0 +1,233 @@
+/**
+ * Cross-provider model identity.
+ *
+ * The same underlying model shows up under many providers, each with its own id
+ * ("claude-haiku-4-5-20251001", "anthropic/claude-haiku-4.5",
+ * "us.anthropic.claude-haiku-4-5-20251001-v1:0", …). This module derives one
+ * canonical key per underlying model and groups provider offerings under it.
+ *
+ * Shared by build-definitions.mjs (publishes /definitions/canonical.json) and the
+ * Astro model pages ("Where to run this model"), so both always agree.
+ */
+
+// Bedrock-style cross-region inference prefixes ("us.anthropic.claude-…").
+const REGION_PREFIX_RE = /^(us|eu|apac|ap|global|jp|au|ca)\./;
+
+// Vendor namespace written with a dot ("anthropic.claude-…", "meta.llama3-…").
+// Lookahead keeps version dots like "gpt-4.1" / "qwen2.5" intact.
+const VENDOR_DOT_PREFIX_RE = /^[a-z0-9-]+\.(?=[a-z])/;
+
+/**
+ * Splits a provider-specific model id into its alias key and snapshot date.
+ *
+ * Rules, in order:
+ * - lowercase; drop namespaces before the last '/' ("deepseek-ai/…")
+ * - drop region + vendor dot prefixes (Bedrock)
+ * - drop Bedrock version suffixes ("-v1:0"), then anything after ':' or '@'
+ *   (":free", "@20251001" on Vertex)
+ * - drop "-latest"; split off date snapshots ("-20251001", "-2024-08-06") as
+ *   `snapshot` (YYYYMMDD); short suffixes like "-0324" are real model versions
+ *   and stay
+ * - "4.5" → "4-5"; whitespace/underscores/dots → '-'
+ */
+function parseModelId(modelId) {
+  let key = String(modelId ?? '').trim().toLowerCase();
+
+  key = key.split('/').pop() ?? '';
+  key = key.replace(REGION_PREFIX_RE, '');
+  key = key.replace(VENDOR_DOT_PREFIX_RE, '');
+  key = key.replace(/-v\d+:\d+$/, '');
+  key = key.replace(/[:@].*$/, '');
+  key = key.replace(/-latest$/, '');
+
+  let snapshot;
+  key = key.replace(/-(\d{8}|\d{4}-\d{2}-\d{2})$/, (_, date) => {
+    snapshot = date.replaceAll('-', '');
+    return '';
+  });
+
+  key = key.replace(/(\d)\.(?=\d)/g, '$1-');
+  key = key.replace(/[\s_.]+/g, '-');
+  key = key.replace(/-+/g, '-').replace(/^-+|-+$/g, '');
+
+  return { key, snapshot };
+}
+
+/**
+ * Alias key for a provider-specific model id: the id with namespaces, prefixes
+ * and snapshot dates removed ("claude-haiku-4-5-20251001" → "claude-haiku-4-5").
+ * Whether a dated snapshot is grouped under it depends on the data; see
+ * buildCanonicalModels.
+ */
+export function canonicalModelKey(modelId) {
+  return parseModelId(modelId).key;
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  for (const v of values) {
+    if (!v) continue;
+    counts.set(v, (counts.get(v) ?? 0) + 1);
+  }
+  let best;
+  let bestCount = 0;
+  for (const [v, n] of counts) {
+    if (n > bestCount || (n === bestCount && v.localeCompare(best) < 0)) {
+      best = v;
+      bestCount = n;
+    }
+  }
+  return best;
+}
+
+function pickDisplayName(offerings, key) {
+  // "Claude Haiku 4.5 (latest)" / "(EU)" → "Claude Haiku 4.5". Many aggregators just
+  // repeat the raw id as the name; only fall back to those when nothing better exists.
+  const cleaned = offerings.map((o) => o.name.replace(/\s*\([^)]*\)\s*$/, '').trim());
+  const descriptive = cleaned.filter((n, i) => n.toLowerCase() !== offerings[i].model_id.toLowerCase());
+  return mostCommon(descriptive) ?? mostCommon(cleaned) ?? key;
+}
+
+function blendedPrice(offering) {
+  const input = offering.cost?.input;
+  const output = offering.cost?.output;
+  if (input == null || output == null) return undefined;
+  return input + output;
+}
+
+function compareOfferings(a, b) {
+  // Cheapest first (input + output per M), unpriced last; then largest context.
+  const pa = blendedPrice(a);
+  const pb = blendedPrice(b);
+  if (pa !== pb) {
+    if (pa === undefined) return 1;
+    if (pb === undefined) return -1;
+    return pa - pb;
+  }
+  const ca = a.limit.context ?? -1;
+  const cb = b.limit.context ?? -1;
+  if (ca !== cb) return cb - ca;
+  return `${a.provider}/${a.model_id}`.localeCompare(`${b.provider}/${b.model_id}`);
+}
+
+function toOfferingRef(offering) {
+  return offering ? { provider: offering.provider, model_id: offering.model_id } : null;
+}
+
+/**
+ * Groups every model of every provider by canonical key.
+ *
+ * Undated ids group by alias key. A dated snapshot ("gpt-4o-2024-05-13") joins
+ * its alias only when it is the release the alias points at: same family, and
+ * its release_date is the alias's last_updated (or release_date) on the same
+ * provider, or on most providers when its own has no alias. One matching copy
+ * is enough for every provider's copy of that snapshot. Otherwise it gets its
+ * own key ("gpt-4o-20240513"), so snapshots with different prices are never
+ * compared as the same model.
+ *
+ * `providers` is the `providers` array of the definitions manifest (public or
+ * internal). Returns canonical entries sorted by number of hosting providers
+ * (desc), then key. Look offerings up by provider and model id, not by
+ * canonicalModelKey().
+ */
+export function buildCanonicalModels(providers) {
+  const parsed = [];
+  // Alias key → { families, releases } of the undated ids, for matching snapshots.
+  // releases is provider id → the release the alias points at there.
+  const aliases = new Map();
+
+  for (const provider of providers ?? []) {
+    for (const model of provider.models ?? []) {
+      const { key: aliasKey, snapshot } = parseModelId(model.id);
+      if (!aliasKey) continue;
+      parsed.push({ provider, model, aliasKey, snapshot });
+
+      if (snapshot) continue;
+      if (!aliases.has(aliasKey)) aliases.set(aliasKey, { families: new Set(), releases: new Map() });
+      const alias = aliases.get(aliasKey);
+      if (model.family) alias.families.add(model.family);
+      const pointsAt = model.last_updated ?? model.release_date;
+      if (pointsAt) alias.releases.set(provider.id, pointsAt);
+    }
+  }
+
+  // Aggregators lag behind, so the snapshot's own provider decides when it has the alias too.
+  const isAliasRelease = (provider, model, aliasKey) => {
+    const alias = aliases.get(aliasKey);
+    if (!alias || !model.release_date) return false;
+    const pointsAt = alias.releases.get(provider.id) ?? mostCommon([...alias.releases.values()]);
+    if (model.release_date !== pointsAt) return false;
+    return !model.family || alias.families.size === 0 || alias.families.has(model.family);
+  };
+
+  // The date suffix names the snapshot, so once one provider's copy of it is the
+  // alias's release, every provider's copy is (their release_date often lags).
+  const aliasSnapshots = new Set();
+  for (const { provider, model, aliasKey, snapshot } of parsed) {
+    if (snapshot && isAliasRelease(provider, model, aliasKey)) aliasSnapshots.add(`${aliasKey}-${snapshot}`);
+  }
+
+  const groups = new Map();
+
+  for (const { aliasKey, snapshot, provider, model } of parsed) {
+    const snapshotKey = `${aliasKey}-${snapshot}`;
+    const key = !snapshot || aliasSnapshots.has(snapshotKey) ? aliasKey : snapshotKey;
+
+    const cost = model.cost ?? {};
+    const offering = {
+      provider: provider.id,
+      provider_name: provider.name,
+      model_id: model.id,
+      name: model.name,
+      release_date: model.release_date ?? null,
+      ...(model.status ? { status: model.status } : {}),
+      limit: {
+        context: model.limit?.context ?? null,
+        output: model.limit?.output ?? null,
+      },
+      ...(cost.input !== undefined || cost.output !== undefined
+        ? {
+            cost: {
+              ...(cost.input === undefined ? {} : { input: cost.input }),
+              ...(cost.output === undefined ? {} : { output: cost.output }),
+              ...(cost.cache_read === undefined ? {} : { cache_read: cost.cache_read }),
+            },
+          }
+        : {}),
+    };
+
+    if (!groups.has(key)) groups.set(key, { families: [], offerings: [] });
+    const group = groups.get(key);
+    group.families.push(model.family);
+    group.offerings.push(offering);
+  }
+
+  const out = [];
+  for (const [key, group] of groups) {
+    const offerings = [...group.offerings].sort(compareOfferings);
+    const releaseDates = offerings.map((o) => o.release_date).filter(Boolean).sort();
+    const family = mostCommon(group.families);
+
+    const priced = offerings.filter((o) => blendedPrice(o) !== undefined);
+    const withContext = offerings.filter((o) => o.limit.context != null);
+    const largestContext = withContext.reduce(
+      (best, o) => (best === undefined || o.limit.context > best.limit.context ? o : best),
+      undefined,
+    );
+
+    out.push({
+      id: key,
+      name: pickDisplayName(offerings, key),
+      ...(family ? { family } : {}),
+      release_date: releaseDates[0] ?? null,
+      provider_count: new Set(offerings.map((o) => o.provider)).size,
+      offering_count: offerings.length,
+      cheapest: toOfferingRef(priced[0]),
+      largest_context: toOfferingRef(largestContext),
+      offerings,
+    });
+  }
+
+  out.sort((a, b) => b.provider_count - a.provider_count || a.id.localeCompare(b.id));
+  return out;
+}
@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { buildCanonicalModels, canonicalModelKey } from './canonical-models.mjs';
+
+function provider(id, models) {
+  return { id, name: id, models: models.map((m) => ({ name: m.id, limit: {}, ...m })) };
+}
+
+function groupsOf(providers) {
+  return Object.fromEntries(
+    buildCanonicalModels(providers).map((c) => [c.id, c.offerings.map((o) => `${o.provider}:${o.model_id}`).sort()]),
+  );
+}
+
+describe('canonicalModelKey', () => {
+  it('strips namespaces, region and vendor prefixes, version and date suffixes', () => {
+    for (const id of [
+      'claude-haiku-4-5-20251001',
+      'anthropic/claude-haiku-4.5',
+      'us.anthropic.claude-haiku-4-5-20251001-v1:0',
+      'claude-haiku-4-5@20251001',
+    ]) {
+      assert.equal(canonicalModelKey(id), 'claude-haiku-4-5');
+    }
+  });
+});
+
+describe('buildCanonicalModels', () => {
+  const haiku = { family: 'claude-haiku', release_date: '2025-10-15', last_updated: '2025-10-15' };
+
+  it('groups every copy of the snapshot the alias points at, whatever release_date each provider lists', () => {
+    const groups = groupsOf([
+      provider('anthropic', [
+        { id: 'claude-haiku-4-5', ...haiku },
+        { id: 'claude-haiku-4-5-20251001', ...haiku },
+      ]),
+      provider('openrouter', [{ id: 'anthropic/claude-haiku-4.5', ...haiku }]),
+      // Aggregators list their own (listing) dates for the same snapshot.
+      provider('302ai', [{ id: 'claude-haiku-4-5-20251001', release_date: '2025-10-16', last_updated: '2025-10-16' }]),
+      provider('jiekou', [{ id: 'claude-haiku-4-5-20251001', family: 'claude-haiku', release_date: '2026-01' }]),
+      provider('helicone', [{ id: 'claude-haiku-4-5-20251001', release_date: '2025-10-01' }]),
+    ]);
+
+    assert.deepEqual(Object.keys(groups), ['claude-haiku-4-5']);
+    assert.equal(groups['claude-haiku-4-5'].length, 6);
+  });
+
+  it('keeps snapshots the alias does not point at apart', () => {
+    const gpt4o = { family: 'gpt', release_date: '2024-05-13', last_updated: '2024-08-06' };
+    const groups = groupsOf([
+      provider('openai', [
+        { id: 'gpt-4o', ...gpt4o },
+        { id: 'gpt-4o-2024-05-13', family: 'gpt', release_date: '2024-05-13' },
+        { id: 'gpt-4o-2024-08-06', family: 'gpt', release_date: '2024-08-06' },
+        { id: 'gpt-4o-2024-11-20', family: 'gpt', release_date: '2024-11-20' },
+      ]),
+      provider('azure', [{ id: 'gpt-4o-2024-05-13', family: 'gpt', release_date: '2024-05-13' }]),
+    ]);
+
+    assert.deepEqual(groups, {
+      'gpt-4o': ['openai:gpt-4o', 'openai:gpt-4o-2024-08-06'],
+      'gpt-4o-20240513': ['azure:gpt-4o-2024-05-13', 'openai:gpt-4o-2024-05-13'],
+      'gpt-4o-20241120': ['openai:gpt-4o-2024-11-20'],
+    });
+  });
+});
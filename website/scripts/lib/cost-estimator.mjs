@@ -0,0 +1,221 @@
+/**
+ * Workload cost estimator for the definitions manifest.
+ *
+ * Dependency-free ESM so it runs in Node and in the browser. build-definitions.mjs
+ * publishes a copy as /definitions/cost-estimator.mjs; the /definitions/estimate/
+ * page imports that same file.
+ *
+ * All rates in the manifest are USD per 1M tokens. Usage:
+ *
+ *   import { rankModelsByCost } from 'https://…/definitions/cost-estimator.mjs';
+ *   const manifest = await (await fetch('https://…/definitions/definitions.json')).json();
+ *   const ranked = rankModelsByCost(manifest, { input_tokens: 3000, output_tokens: 500, requests_per_day: 10000 });
+ */
+
+// Providers that price long prompts differently (Anthropic, Gemini) switch the whole
+// request to the tier rates once the prompt exceeds this many tokens.
+export const LONG_CONTEXT_THRESHOLD = 200_000;
+
+export const DEFAULT_DAYS_PER_MONTH = 30;
+
+const SHARE_KEYS = [
+  'cache_hit_ratio',
+  'cache_write_ratio',
+  'audio_input_share',
+  'image_input_share',
+  'reasoning_share',
+  'audio_output_share',
+  'image_output_share',
+];
+
+/**
+ * Fills defaults and validates a workload profile. Throws TypeError / RangeError on
+ * bad input so callers surface a precise message instead of a NaN ranking.
+ *
+ * - input_tokens / output_tokens: tokens per request (required)
+ * - requests_per_day (default 1), days_per_month (default 30)
+ * - cache_hit_ratio: share of non-audio input read from the prompt cache
+ * - cache_write_ratio: share of non-audio input written to the prompt cache
+ * - audio_input_share / image_input_share: share of input tokens that are audio / image
+ * - reasoning_share / audio_output_share / image_output_share: same, for output tokens
+ */
+export function normalizeWorkload(workload) {
+  if (workload == null || typeof workload !== 'object') {
+    throw new TypeError('workload must be an object');
+  }
+
+  const num = (key, fallback) => {
+    const value = workload[key] ?? fallback;
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new TypeError(`workload.${key} must be a finite number (got ${JSON.stringify(value)})`);
+    }
+    if (value < 0) throw new RangeError(`workload.${key} must be >= 0 (got ${value})`);
+    return value;
+  };
+
+  const out = {
+    input_tokens: num('input_tokens'),
+    output_tokens: num('output_tokens'),
+    requests_per_day: num('requests_per_day', 1),
+    days_per_month: num('days_per_month', DEFAULT_DAYS_PER_MONTH),
+  };
+
+  for (const key of SHARE_KEYS) {
+    out[key] = num(key, 0);
+    if (out[key] > 1) throw new RangeError(`workload.${key} must be between 0 and 1 (got ${out[key]})`);
+  }
+
+  if (out.cache_hit_ratio + out.cache_write_ratio > 1) {
+    throw new RangeError('workload.cache_hit_ratio + cache_write_ratio must not exceed 1');
+  }
+  if (out.audio_input_share + out.image_input_share > 1) {
+    throw new RangeError('workload.audio_input_share + image_input_share must not exceed 1');
+  }
+  if (out.reasoning_share + out.audio_output_share + out.image_output_share > 1) {
+    throw new RangeError('workload.reasoning_share + audio_output_share + image_output_share must not exceed 1');
+  }
+
+  return out;
+}
+
+/**
+ * Whether a request of this workload can run on `model` at all.
+ *
+ * Unknown limits never exclude a model (the data just doesn't say); a missing
+ * modality does when the workload actually uses it.
+ *
+ * Returns `{ fits: true }` or `{ fits: false, reason }`.
+ */
+export function checkWorkloadFits(model, workload) {
+  const w = normalizeWorkload(workload);
+  const limit = model?.limit ?? {};
+  const inputs = model?.modalities?.input ?? [];
+  const outputs = model?.modalities?.output ?? [];
+
+  if (limit.context != null && w.input_tokens + w.output_tokens > limit.context) {
+    return { fits: false, reason: `needs ${w.input_tokens + w.output_tokens} tokens, context is ${limit.context}` };
+  }
+  if (limit.input != null && w.input_tokens > limit.input) {
+    return { fits: false, reason: `needs ${w.input_tokens} input tokens, limit is ${limit.input}` };
+  }
+  if (limit.output != null && w.output_tokens > limit.output) {
+    return { fits: false, reason: `needs ${w.output_tokens} output tokens, limit is ${limit.output}` };
+  }
+
+  const needs = [
+    [w.audio_input_share > 0 && !inputs.includes('audio'), 'no audio input'],
+    [w.image_input_share > 0 && !inputs.includes('image'), 'no image input'],
+    [w.audio_output_share > 0 && !outputs.includes('audio'), 'no audio output'],
+    [w.image_output_share > 0 && !outputs.includes('image'), 'no image output'],
+  ];
+  for (const [missing, reason] of needs) {
+    if (missing) return { fits: false, reason };
+  }
+
+  return { fits: true };
+}
+
+/**
+ * The rate table that applies to a request with `inputTokens` of prompt: base rates,
+ * overridden key-by-key by `context_over_200k` when the prompt crosses the threshold.
+ */
+export function effectiveRates(cost, inputTokens) {
+  const { context_over_200k: longContext, ...base } = cost ?? {};
+  if (longContext && inputTokens > LONG_CONTEXT_THRESHOLD) {
+    return { rates: { ...base, ...longContext }, tier: 'context_over_200k' };
+  }
+  return { rates: base, tier: null };
+}
+
+/**
+ * Projected cost of one request plus daily/monthly totals.
+ *
+ * Returns null when the model has no input/output price. Rates a model doesn't publish
+ * fall back to the plain input/output rate (e.g. no cache_read price → cached tokens are
+ * billed as regular input).
+ */
+export function estimateModelCost(model, workload) {
+  const w = normalizeWorkload(workload);
+  const { rates, tier } = effectiveRates(model?.cost, w.input_tokens);
+  if (rates.input == null || rates.output == null) return null;
+
+  const audioIn = w.input_tokens * w.audio_input_share;
+  const cacheable = w.input_tokens - audioIn;
+  const cacheRead = cacheable * w.cache_hit_ratio;
+  const cacheWrite = cacheable * w.cache_write_ratio;
+  const freshIn = cacheable - cacheRead - cacheWrite;
+
+  const reasoningOut = w.output_tokens * w.reasoning_share;
+  const audioOut = w.output_tokens * w.audio_output_share;
+  const imageOut = w.output_tokens * w.image_output_share;
+  const textOut = w.output_tokens - reasoningOut - audioOut - imageOut;
+
+  const price = (tokens, rate) => (tokens * rate) / 1_000_000;
+
+  const breakdown = {
+    input: price(freshIn, rates.input),
+    cache_read: price(cacheRead, rates.cache_read ?? rates.input),
+    cache_write: price(cacheWrite, rates.cache_write ?? rates.input),
+    input_audio: price(audioIn, rates.input_audio ?? rates.input),
+    output: price(textOut, rates.output),
+    reasoning: price(reasoningOut, rates.reasoning ?? rates.output),
+    output_audio: price(audioOut, rates.output_audio ?? rates.output),
+    image: price(imageOut, rates.image ?? rates.output),
+  };
+
+  const perRequest = Object.values(breakdown).reduce((sum, v) => sum + v, 0);
+  const perDay = perRequest * w.requests_per_day;
+
+  return {
+    per_request: perRequest,
+    per_day: perDay,
+    per_month: perDay * w.days_per_month,
+    tier,
+    breakdown,
+  };
+}
+
+/**
+ * Ranks every model of a definitions manifest (public `definitions.json` or the
+ * internal catalog — same shape) by projected monthly cost, cheapest first.
+ *
+ * Models that can't fit the request or have no pricing are left out unless
+ * `includeExcluded` is set; then they come last with `excluded` set to the reason.
+ */
+export function rankModelsByCost(manifest, workload, { includeExcluded = false } = {}) {
+  const w = normalizeWorkload(workload);
+  const ranked = [];
+  const excluded = [];
+
+  for (const provider of manifest?.providers ?? []) {
+    for (const model of provider.models ?? []) {
+      const row = {
+        provider: provider.id,
+        provider_name: provider.name,
+        model_id: model.id,
+        name: model.name,
+      };
+
+      const fit = checkWorkloadFits(model, w);
+      if (!fit.fits) {
+        if (includeExcluded) excluded.push({ ...row, excluded: fit.reason });
+        continue;
+      }
+
+      const estimate = estimateModelCost(model, w);
+      if (!estimate) {
+        if (includeExcluded) excluded.push({ ...row, excluded: 'no pricing' });
+        continue;
+      }
+
+      ranked.push({ ...row, ...estimate });
+    }
+  }
+
+  ranked.sort(
+    (a, b) =>
+      a.per_month - b.per_month || `${a.provider}/${a.model_id}`.localeCompare(`${b.provider}/${b.model_id}`),
+  );
+
+  return includeExcluded ? [...ranked, ...excluded] : ranked;
+}
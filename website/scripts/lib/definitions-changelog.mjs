@@ -0,0 +1,192 @@
+/**
+ * Build-to-build changelog for the definitions manifest.
+ *
+ * build-definitions.mjs diffs the manifest it is about to publish against the
+ * previously published one, prepends the result to /definitions/changelog.json and
+ * renders /definitions/changelog.xml (Atom) from it. The /definitions/changes/ page
+ * reads the same changelog.json.
+ */
+
+// Older entries fall off the end; the feed only shows the most recent ones.
+export const MAX_CHANGELOG_ENTRIES = 100;
+const MAX_FEED_ENTRIES = 30;
+
+const LIMIT_KEYS = ['context', 'input', 'output'];
+
+function indexModels(manifest) {
+  const index = new Map();
+  for (const provider of manifest?.providers ?? []) {
+    for (const model of provider.models ?? []) {
+      index.set(`${provider.id}/${model.id}`, { provider, model });
+    }
+  }
+  return index;
+}
+
+function modelRef({ provider, model }) {
+  return { provider: provider.id, provider_name: provider.name, model_id: model.id, name: model.name };
+}
+
+// { input: 1, context_over_200k: { input: 2 } } → { input: 1, 'context_over_200k.input': 2 }
+function flattenCost(cost, prefix = '') {
+  const out = {};
+  for (const [key, value] of Object.entries(cost ?? {})) {
+    if (typeof value === 'number') out[`${prefix}${key}`] = value;
+    else if (value && typeof value === 'object') Object.assign(out, flattenCost(value, `${prefix}${key}.`));
+  }
+  return out;
+}
+
+function diffFields(before, after, keys) {
+  const changes = [];
+  for (const field of keys) {
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    if (from !== to) changes.push({ field, from, to });
+  }
+  return changes;
+}
+
+/**
+ * Diffs two definitions manifests (public `definitions.json` shape).
+ *
+ * Returns lists of added/removed models, per-model price and limit changes (missing
+ * values are `null`), and models whose status became `deprecated`.
+ */
+export function diffManifests(previous, next) {
+  const before = indexModels(previous);
+  const after = indexModels(next);
+
+  const diff = { added: [], removed: [], price_changes: [], limit_changes: [], deprecated: [] };
+
+  for (const [key, entry] of after) {
+    const old = before.get(key);
+    if (!old) {
+      diff.added.push(modelRef(entry));
+      continue;
+    }
+
+    const oldCost = flattenCost(old.model.cost);
+    const newCost = flattenCost(entry.model.cost);
+    const costKeys = [...new Set([...Object.keys(oldCost), ...Object.keys(newCost)])].sort();
+    const priceChanges = diffFields(oldCost, newCost, costKeys);
+    if (priceChanges.length > 0) diff.price_changes.push({ ...modelRef(entry), changes: priceChanges });
+
+    const limitChanges = diffFields(old.model.limit ?? {}, entry.model.limit ?? {}, LIMIT_KEYS);
+    if (limitChanges.length > 0) diff.limit_changes.push({ ...modelRef(entry), changes: limitChanges });
+
+    if (entry.model.status === 'deprecated' && old.model.status !== 'deprecated') {
+      diff.deprecated.push(modelRef(entry));
+    }
+  }
+
+  for (const [key, entry] of before) {
+    if (!after.has(key)) diff.removed.push(modelRef(entry));
+  }
+
+  return diff;
+}
+
+export function isEmptyDiff(diff) {
+  return Object.values(diff).every((list) => list.length === 0);
+}
+
+export function summarizeDiff(diff) {
+  return Object.fromEntries(Object.entries(diff).map(([key, list]) => [key, list.length]));
+}
+
+/**
+ * One changelog entry. `id` is the build timestamp, which is also the anchor on the
+ * "What's new" page and the Atom entry id suffix.
+ */
+export function buildChangelogEntry(diff, { generatedAt, previousGeneratedAt }) {
+  return {
+    id: generatedAt,
+    generated_at: generatedAt,
+    previous_generated_at: previousGeneratedAt ?? null,
+    summary: summarizeDiff(diff),
+    ...diff,
+  };
+}
+
+export function describeSummary(summary) {
+  const parts = [
+    [summary.added, 'added'],
+    [summary.removed, 'removed'],
+    [summary.price_changes, 'price changes'],
+    [summary.limit_changes, 'limit changes'],
+    [summary.deprecated, 'newly deprecated'],
+  ]
+    .filter(([n]) => n > 0)
+    .map(([n, label]) => `${n} ${label}`);
+  return parts.length > 0 ? parts.join(', ') : 'no changes';
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&apos;');
+}
+
+function describeChange({ field, from, to }) {
+  const show = (v) => (v === null ? '—' : String(v));
+  return `${field} ${show(from)} → ${show(to)}`;
+}
+
+function renderEntryText(entry) {
+  const lines = [];
+  const section = (title, items, render) => {
+    if (items.length === 0) return;
+    lines.push(`${title}:`);
+    for (const item of items) lines.push(`- ${render(item)}`);
+    lines.push('');
+  };
+  const label = (m) => `${m.provider}/${m.model_id}`;
+
+  section('Added', entry.added, label);
+  section('Removed', entry.removed, label);
+  section('Newly deprecated', entry.deprecated, label);
+  section('Price changes (USD / 1M tokens)', entry.price_changes, (m) => `${label(m)}: ${m.changes.map(describeChange).join('; ')}`);
+  section('Limit changes', entry.limit_changes, (m) => `${label(m)}: ${m.changes.map(describeChange).join('; ')}`);
+
+  return lines.join('\n').trim();
+}
+
+/**
+ * Atom 1.0 feed for the changelog. Deterministic for a given changelog: `updated` is
+ * the newest entry's timestamp, not the build time. Atom requires `updated`, so a
+ * changelog with no entries yet falls back to `builtAt` (the build timestamp).
+ */
+export function renderAtomFeed(changelog, { baseUrl, builtAt = new Date().toISOString() }) {
+  const pageUrl = `${baseUrl}/definitions/changes/`;
+  const feedUrl = `${baseUrl}/definitions/changelog.xml`;
+  const entries = (changelog.entries ?? []).slice(0, MAX_FEED_ENTRIES);
+  const updated = entries[0]?.generated_at ?? changelog.updated_at ?? builtAt;
+
+  const renderedEntries = entries.map(
+    (entry) => `  <entry>
+    <id>${escapeXml(`${pageUrl}#${entry.id}`)}</id>
+    <title>${escapeXml(`Definitions update: ${describeSummary(entry.summary)}`)}</title>
+    <updated>${escapeXml(entry.generated_at)}</updated>
+    <link rel="alternate" type="text/html" href="${escapeXml(`${pageUrl}#${entry.id}`)}"/>
+    <content type="text">${escapeXml(renderEntryText(entry))}</content>
+  </entry>`,
+  );
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    '  <title>LLMSPEC — Model definitions changelog</title>',
+    `  <id>${escapeXml(feedUrl)}</id>`,
+    `  <updated>${escapeXml(updated)}</updated>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(pageUrl)}"/>`,
+    '  <author><name>LLMSPEC</name></author>',
+    ...renderedEntries,
+    '</feed>',
+    '',
+  ].join('\n');
+}
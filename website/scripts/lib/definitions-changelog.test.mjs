@@ -0,0 +1,40 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { buildChangelogEntry, diffManifests, renderAtomFeed } from './definitions-changelog.mjs';
+
+const baseUrl = 'https://www.llmspec.dev';
+
+function manifest(generatedAt, input) {
+  return {
+    generated_at: generatedAt,
+    providers: [{ id: 'openai', name: 'OpenAI', models: [{ id: 'gpt-4o', name: 'GPT-4o', cost: { input }, limit: {} }] }],
+  };
+}
+
+function feedUpdated(xml) {
+  return /<feed[^>]*>[\s\S]*?<updated>(.*?)<\/updated>/.exec(xml)?.[1];
+}
+
+describe('renderAtomFeed', () => {
+  it('uses the build timestamp for <updated> when there are no entries yet', () => {
+    const changelog = { version: '1.0.0', updated_at: null, base_url: baseUrl, total_entries: 0, entries: [] };
+    const xml = renderAtomFeed(changelog, { baseUrl, builtAt: '2026-10-19T12:00:00.000Z' });
+
+    assert.equal(feedUpdated(xml), '2026-10-19T12:00:00.000Z');
+    assert.doesNotMatch(xml, /<entry>/);
+  });
+
+  it('uses the newest entry for <updated>, not the build time', () => {
+    const entry = buildChangelogEntry(
+      diffManifests(manifest('2026-10-01T00:00:00.000Z', 2.5), manifest('2026-10-02T00:00:00.000Z', 2)),
+      { generatedAt: '2026-10-02T00:00:00.000Z', previousGeneratedAt: '2026-10-01T00:00:00.000Z' },
+    );
+    const changelog = { updated_at: entry.generated_at, entries: [entry] };
+    const xml = renderAtomFeed(changelog, { baseUrl, builtAt: '2026-10-19T12:00:00.000Z' });
+
+    assert.equal(feedUpdated(xml), '2026-10-02T00:00:00.000Z');
+    assert.equal(xml.match(/<entry>/g)?.length, 1);
+    assert.match(xml, /openai\/gpt-4o/);
+  });
+});
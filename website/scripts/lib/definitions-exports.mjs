@@ -0,0 +1,277 @@
+/**
+ * Tabular renditions of the public definitions manifest, for spreadsheets and BI
+ * tools that don't want nested JSON. build-definitions.mjs writes all three next to
+ * definitions.json:
+ *
+ * - definitions.csv:    one row per provider-model; limits and cost tiers as columns
+ * - definitions.ndjson: the same rows as typed JSON, one per line. Every line has every
+ *                       key (null when absent), so Parquet/Arrow schema inference is stable
+ * - definitions.sqlite: normalized tables (providers, provider_env, models,
+ *                       model_modalities, model_costs) plus a metadata table
+ *
+ * Everything is derived from the public manifest, so the exports never carry a
+ * field the JSON doesn't.
+ */
+
+import initSqlJs from 'sql.js';
+
+import { toCsv } from './definitions-query.mjs';
+import { COST_KEYS, COST_TIER_KEYS } from './definitions-source.mjs';
+
+// Base rates are stored under this tier name in model_costs.
+export const BASE_COST_TIER = 'base';
+
+const ROW_COLUMNS = [
+  'provider_id',
+  'provider_name',
+  'provider_env',
+  'provider_npm',
+  'provider_doc',
+  'provider_api',
+  'model_id',
+  'model_name',
+  'family',
+  'status',
+  'release_date',
+  'last_updated',
+  'knowledge',
+  'deprecation_date',
+  'retirement_date',
+  'successor',
+  'attachment',
+  'reasoning',
+  'tool_call',
+  'temperature',
+  'structured_output',
+  'open_weights',
+  'modalities_input',
+  'modalities_output',
+  'limit_context',
+  'limit_input',
+  'limit_output',
+  ...COST_KEYS.map((key) => `cost_${key}`),
+  ...COST_TIER_KEYS.flatMap((tier) => COST_KEYS.map((key) => `cost_${tier}_${key}`)),
+  'description',
+];
+
+/**
+ * One flat, typed record per provider-model, in manifest order. Missing values are null.
+ */
+export function flattenDefinitions(manifest) {
+  const rows = [];
+  for (const provider of manifest.providers) {
+    for (const model of provider.models) {
+      const row = {
+        provider_id: provider.id,
+        provider_name: provider.name,
+        provider_env: provider.env ?? [],
+        provider_npm: provider.npm || null,
+        provider_doc: provider.doc || null,
+        provider_api: provider.api ?? null,
+        model_id: model.id,
+        model_name: model.name,
+        family: model.family ?? null,
+        status: model.status ?? null,
+        release_date: model.release_date ?? null,
+        last_updated: model.last_updated ?? null,
+        knowledge: model.knowledge ?? null,
+        deprecation_date: model.lifecycle?.deprecation_date ?? null,
+        retirement_date: model.lifecycle?.retirement_date ?? null,
+        successor: model.lifecycle?.successor ?? null,
+        attachment: model.attachment,
+        reasoning: model.reasoning,
+        tool_call: model.tool_call,
+        temperature: model.temperature ?? null,
+        structured_output: model.structured_output ?? null,
+        open_weights: model.open_weights,
+        modalities_input: model.modalities?.input ?? [],
+        modalities_output: model.modalities?.output ?? [],
+        limit_context: model.limit?.context ?? null,
+        limit_input: model.limit?.input ?? null,
+        limit_output: model.limit?.output ?? null,
+      };
+      for (const key of COST_KEYS) row[`cost_${key}`] = model.cost?.[key] ?? null;
+      for (const tier of COST_TIER_KEYS) {
+        for (const key of COST_KEYS) row[`cost_${tier}_${key}`] = model.cost?.[tier]?.[key] ?? null;
+      }
+      row.description = model.description ?? null;
+      rows.push(row);
+    }
+  }
+  return rows;
+}
+
+/** RFC 4180 CSV with a header row; arrays joined with ";", nulls empty. */
+export function renderDefinitionsCsv(manifest) {
+  const rows = flattenDefinitions(manifest).map((row) => ROW_COLUMNS.map((col) => row[col]));
+  return toCsv(rows, ROW_COLUMNS);
+}
+
+export function renderDefinitionsNdjson(manifest) {
+  return flattenDefinitions(manifest)
+    .map((row) => `${JSON.stringify(row)}\n`)
+    .join('');
+}
+
+const SQLITE_SCHEMA = `
+CREATE TABLE metadata (
+  key TEXT PRIMARY KEY,
+  value TEXT
+);
+
+CREATE TABLE providers (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  npm TEXT,
+  doc TEXT,
+  api TEXT,
+  has_logo INTEGER NOT NULL,
+  model_count INTEGER NOT NULL
+);
+
+CREATE TABLE provider_env (
+  provider_id TEXT NOT NULL REFERENCES providers (id),
+  position INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  PRIMARY KEY (provider_id, position)
+);
+
+CREATE TABLE models (
+  provider_id TEXT NOT NULL REFERENCES providers (id),
+  id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  family TEXT,
+  status TEXT,
+  release_date TEXT,
+  last_updated TEXT,
+  knowledge TEXT,
+  deprecation_date TEXT,
+  retirement_date TEXT,
+  successor TEXT,
+  attachment INTEGER NOT NULL,
+  reasoning INTEGER NOT NULL,
+  tool_call INTEGER NOT NULL,
+  temperature INTEGER,
+  structured_output INTEGER,
+  open_weights INTEGER NOT NULL,
+  limit_context INTEGER,
+  limit_input INTEGER,
+  limit_output INTEGER,
+  description TEXT,
+  PRIMARY KEY (provider_id, id)
+);
+
+CREATE TABLE model_modalities (
+  provider_id TEXT NOT NULL,
+  model_id TEXT NOT NULL,
+  direction TEXT NOT NULL CHECK (direction IN ('input', 'output')),
+  modality TEXT NOT NULL,
+  PRIMARY KEY (provider_id, model_id, direction, modality),
+  FOREIGN KEY (provider_id, model_id) REFERENCES models (provider_id, id)
+);
+
+-- USD per million tokens. tier is '${BASE_COST_TIER}' or a threshold table such as 'context_over_200k'.
+CREATE TABLE model_costs (
+  provider_id TEXT NOT NULL,
+  model_id TEXT NOT NULL,
+  tier TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  usd_per_million REAL NOT NULL,
+  PRIMARY KEY (provider_id, model_id, tier, kind),
+  FOREIGN KEY (provider_id, model_id) REFERENCES models (provider_id, id)
+);
+
+CREATE INDEX models_family ON models (family);
+CREATE INDEX model_modalities_modality ON model_modalities (modality, direction);
+CREATE INDEX model_costs_kind ON model_costs (kind, tier);
+`;
+
+function sqlBool(value) {
+  if (value === undefined || value === null) return null;
+  return value ? 1 : 0;
+}
+
+/**
+ * The SQLite database as bytes (sql.js runs SQLite compiled to WebAssembly, so no
+ * native build is needed).
+ */
+export async function renderDefinitionsSqlite(manifest) {
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+
+  try {
+    db.run(SQLITE_SCHEMA);
+    db.run('BEGIN');
+
+    const insertMeta = db.prepare('INSERT INTO metadata (key, value) VALUES (?, ?)');
+    for (const key of ['version', 'generated_at', 'base_url']) insertMeta.run([key, manifest[key] ?? null]);
+    insertMeta.free();
+
+    const insertProvider = db.prepare('INSERT INTO providers VALUES (?, ?, ?, ?, ?, ?, ?)');
+    const insertEnv = db.prepare('INSERT INTO provider_env VALUES (?, ?, ?)');
+    const insertModel = db.prepare(
+      'INSERT INTO models VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+    );
+    const insertModality = db.prepare('INSERT OR IGNORE INTO model_modalities VALUES (?, ?, ?, ?)');
+    const insertCost = db.prepare('INSERT INTO model_costs VALUES (?, ?, ?, ?, ?)');
+
+    for (const provider of manifest.providers) {
+      insertProvider.run([
+        provider.id,
+        provider.name,
+        provider.npm || null,
+        provider.doc || null,
+        provider.api ?? null,
+        sqlBool(provider.has_logo),
+        provider.model_count,
+      ]);
+      (provider.env ?? []).forEach((name, position) => insertEnv.run([provider.id, position, name]));
+
+      for (const model of provider.models) {
+        insertModel.run([
+          provider.id,
+          model.id,
+          model.name,
+          model.family ?? null,
+          model.status ?? null,
+          model.release_date ?? null,
+          model.last_updated ?? null,
+          model.knowledge ?? null,
+          model.lifecycle?.deprecation_date ?? null,
+          model.lifecycle?.retirement_date ?? null,
+          model.lifecycle?.successor ?? null,
+          sqlBool(model.attachment),
+          sqlBool(model.reasoning),
+          sqlBool(model.tool_call),
+          sqlBool(model.temperature),
+          sqlBool(model.structured_output),
+          sqlBool(model.open_weights),
+          model.limit?.context ?? null,
+          model.limit?.input ?? null,
+          model.limit?.output ?? null,
+          model.description ?? null,
+        ]);
+
+        for (const direction of ['input', 'output']) {
+          for (const modality of model.modalities?.[direction] ?? []) {
+            insertModality.run([provider.id, model.id, direction, modality]);
+          }
+        }
+
+        const tiers = [[BASE_COST_TIER, model.cost], ...COST_TIER_KEYS.map((tier) => [tier, model.cost?.[tier]])];
+        for (const [tier, rates] of tiers) {
+          for (const kind of COST_KEYS) {
+            if (typeof rates?.[kind] === 'number') insertCost.run([provider.id, model.id, tier, kind, rates[kind]]);
+          }
+        }
+      }
+    }
+
+    for (const stmt of [insertProvider, insertEnv, insertModel, insertModality, insertCost]) stmt.free();
+    db.run('COMMIT');
+
+    return db.export();
+  } finally {
+    db.close();
+  }
+}
@@ -0,0 +1,211 @@
+/**
+ * Price and limit history per model, for /definitions/history/<provider>/<model>.json.
+ *
+ * A history is a list of observations, each one the model's base cost rates and
+ * limits at a point in time. They come from three places:
+ *
+ * - the git history of the TOML source (each commit that touched the model file)
+ * - archived definitions.json manifests (one observation per manifest)
+ * - the current build
+ *
+ * buildModelHistory() sorts them and keeps only the points where a value changed.
+ * Git is read through the `git` binary; nothing here needs a package.
+ */
+
+import { spawn } from 'node:child_process';
+
+import { parse as parseToml } from 'smol-toml';
+
+import { COST_KEYS, normalizeModelToml } from './definitions-source.mjs';
+
+// Model files per `git cat-file --batch` process, which bounds memory on long histories.
+const CAT_FILE_CHUNK = 2000;
+
+export function historyKey(providerId, modelId) {
+  return `${providerId}/${modelId}`;
+}
+
+/**
+ * { cost?, limit } of a normalized or public model: base cost rates only (tiered
+ * rates are left out) and the context/output/input limits.
+ */
+export function snapshotOf(model) {
+  const cost = {};
+  for (const key of COST_KEYS) {
+    if (typeof model.cost?.[key] === 'number') cost[key] = model.cost[key];
+  }
+  const limit = {
+    context: model.limit?.context ?? null,
+    output: model.limit?.output ?? null,
+    ...(typeof model.limit?.input === 'number' ? { input: model.limit.input } : {}),
+  };
+  return { ...(Object.keys(cost).length > 0 ? { cost } : {}), limit };
+}
+
+function addObservation(observations, key, observation) {
+  if (!observations.has(key)) observations.set(key, []);
+  observations.get(key).push(observation);
+}
+
+/**
+ * Observations from a definitions.json-shaped manifest, all at its generated_at:
+ * Map historyKey → [{ observed_at, source, cost?, limit }].
+ */
+export function readManifestObservations(manifest, { source = 'archive', observations = new Map() } = {}) {
+  const observedAt = manifest?.generated_at;
+  if (typeof observedAt !== 'string' || !Array.isArray(manifest?.providers)) return observations;
+
+  for (const provider of manifest.providers) {
+    for (const model of provider.models ?? []) {
+      addObservation(observations, historyKey(provider.id, model.id), {
+        observed_at: observedAt,
+        source,
+        ...snapshotOf(model),
+      });
+    }
+  }
+  return observations;
+}
+
+function runGit(cwd, args, { input } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('git', args, { cwd, stdio: [input === undefined ? 'ignore' : 'pipe', 'pipe', 'pipe'] });
+    const stdout = [];
+    const stderr = [];
+    child.stdout.on('data', (chunk) => stdout.push(chunk));
+    child.stderr.on('data', (chunk) => stderr.push(chunk));
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (code === 0) resolve(Buffer.concat(stdout));
+      else reject(new Error(`git ${args[0]} exited with ${code}: ${Buffer.concat(stderr).toString('utf8').trim()}`));
+    });
+    if (child.stdin) {
+      // git may exit before reading all of its input; the exit code reports why.
+      child.stdin.on('error', () => {});
+      child.stdin.end(input);
+    }
+  });
+}
+
+/**
+ * Contents of `<commit>:./<path>` for each request, in order; null for paths that
+ * don't exist at that commit (the file was deleted).
+ */
+async function readBlobs(cwd, requests) {
+  const out = [];
+  for (let start = 0; start < requests.length; start += CAT_FILE_CHUNK) {
+    const chunk = requests.slice(start, start + CAT_FILE_CHUNK);
+    const input = chunk.map((r) => `${r.commit}:./${r.file}\n`).join('');
+    const buf = await runGit(cwd, ['cat-file', '--batch'], { input });
+
+    // Each reply is "<oid> <type> <size>\n<content>\n" or "<object> missing\n".
+    let pos = 0;
+    for (let i = 0; i < chunk.length; i += 1) {
+      const eol = buf.indexOf(0x0a, pos);
+      const header = buf.toString('utf8', pos, eol);
+      pos = eol + 1;
+      const size = header.endsWith(' missing') ? NaN : Number(header.split(' ')[2]);
+      if (!Number.isInteger(size)) {
+        out.push(null);
+        continue;
+      }
+      out.push(buf.toString('utf8', pos, pos + size));
+      pos += size + 1;
+    }
+  }
+  return out;
+}
+
+/**
+ * Observations from the git history of a TOML source directory
+ * (<providersDir>/<provider>/models/<model>.toml): one per mainline commit that
+ * touched a model file, at the commit date. Returns undefined when
+ * `providersDir` is not inside a git work tree.
+ *
+ * Returns { observations, commits, shallow }. A shallow clone (the default for CI
+ * submodule checkouts) only has the commits it fetched.
+ */
+export async function readGitObservations(providersDir, { observations = new Map() } = {}) {
+  try {
+    await runGit(providersDir, ['rev-parse', '--is-inside-work-tree']);
+  } catch {
+    return undefined;
+  }
+  const shallow = (await runGit(providersDir, ['rev-parse', '--is-shallow-repository'])).toString('utf8').trim() === 'true';
+
+  // First parent only, so a merged branch doesn't interleave its older values with the mainline's.
+  // Oldest first: commit dates only have second precision, and buildModelHistory's
+  // stable sort keeps this order for commits made in the same second.
+  const log = await runGit(providersDir, [
+    'log',
+    '--reverse',
+    '--first-parent',
+    '--diff-merges=first-parent',
+    '--no-renames',
+    '--relative',
+    '--name-only',
+    '--format=%x1e%H%x1f%cI',
+    '--',
+    '.',
+  ]);
+
+  const requests = [];
+  let commits = 0;
+  for (const record of log.toString('utf8').split('\x1e')) {
+    const [head, ...files] = record.split('\n');
+    const [commit, committedAt] = head.split('\x1f');
+    if (!commit || !committedAt) continue;
+    commits += 1;
+
+    for (const file of files) {
+      const match = /^([^/]+)\/models\/(.+)\.toml$/i.exec(file.trim());
+      if (match) requests.push({ commit, committedAt, file: file.trim(), providerId: match[1], modelId: match[2] });
+    }
+  }
+
+  const blobs = await readBlobs(providersDir, requests);
+  requests.forEach((req, i) => {
+    if (blobs[i] === null) return;
+
+    let modelToml;
+    try {
+      modelToml = parseToml(blobs[i]);
+    } catch {
+      return; // A commit with broken TOML says nothing about prices.
+    }
+    const model = normalizeModelToml({
+      providerId: req.providerId,
+      modelId: req.modelId,
+      modelToml,
+      modelTomlPath: req.file,
+      reportIssue: () => {},
+    });
+    addObservation(observations, historyKey(req.providerId, req.modelId), {
+      observed_at: new Date(req.committedAt).toISOString(),
+      source: 'git',
+      commit: req.commit,
+      ...snapshotOf(model),
+    });
+  });
+
+  return { observations, commits, shallow };
+}
+
+function sameValues(a, b) {
+  return JSON.stringify([a.cost ?? null, a.limit]) === JSON.stringify([b.cost ?? null, b.limit]);
+}
+
+/**
+ * Observations → history points, oldest first, keeping an observation only when
+ * its cost or limits differ from the point before it. Observations with the same
+ * timestamp keep the order they were given in.
+ */
+export function buildModelHistory(observations) {
+  const sorted = [...observations].sort((a, b) => a.observed_at.localeCompare(b.observed_at));
+  const points = [];
+  for (const obs of sorted) {
+    if (points.length > 0 && sameValues(points.at(-1), obs)) continue;
+    points.push(obs);
+  }
+  return points;
+}
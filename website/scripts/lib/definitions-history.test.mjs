@@ -0,0 +1,103 @@
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import * as fsp from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+
+import { buildModelHistory, historyKey, readGitObservations } from './definitions-history.mjs';
+
+function modelToml(input) {
+  return `name = "GPT-4o"
+release_date = "2024-05-13"
+last_updated = "2024-05-13"
+attachment = true
+reasoning = false
+temperature = true
+tool_call = true
+open_weights = false
+
+[cost]
+input = ${input}
+output = 10
+
+[limit]
+context = 128000
+output = 16384
+
+[modalities]
+input = ["text"]
+output = ["text"]
+`;
+}
+
+describe('readGitObservations', () => {
+  let repoAbs;
+
+  before(async () => {
+    repoAbs = await fsp.mkdtemp(path.join(os.tmpdir(), 'llmspec-history-'));
+    const modelAbs = path.join(repoAbs, 'providers', 'openai', 'models', 'gpt-4o.toml');
+    await fsp.mkdir(path.dirname(modelAbs), { recursive: true });
+
+    // Both commits in the same second, so only git's own order tells them apart.
+    const env = {
+      ...process.env,
+      GIT_AUTHOR_NAME: 'test',
+      GIT_AUTHOR_EMAIL: 'test@example.com',
+      GIT_COMMITTER_NAME: 'test',
+      GIT_COMMITTER_EMAIL: 'test@example.com',
+      GIT_AUTHOR_DATE: '2026-01-01T00:00:00Z',
+      GIT_COMMITTER_DATE: '2026-01-01T00:00:00Z',
+    };
+    const git = (...args) => execFileSync('git', args, { cwd: repoAbs, env, stdio: 'pipe' });
+    git('init', '-q');
+    for (const input of [2.5, 2]) {
+      await fsp.writeFile(modelAbs, modelToml(input));
+      git('add', '-A');
+      git('commit', '-q', '--no-gpg-sign', '-m', `input ${input}`);
+    }
+  });
+
+  after(async () => {
+    await fsp.rm(repoAbs, { recursive: true, force: true });
+  });
+
+  it('keeps commit order for commits made in the same second', async () => {
+    const { observations, commits } = await readGitObservations(path.join(repoAbs, 'providers'));
+    const points = buildModelHistory(observations.get(historyKey('openai', 'gpt-4o')));
+
+    assert.equal(commits, 2);
+    assert.deepEqual(
+      points.map((p) => p.cost.input),
+      [2.5, 2],
+    );
+  });
+
+  it('returns undefined outside a git work tree', async () => {
+    const plainAbs = await fsp.mkdtemp(path.join(os.tmpdir(), 'llmspec-history-plain-'));
+    try {
+      assert.equal(await readGitObservations(plainAbs), undefined);
+    } finally {
+      await fsp.rm(plainAbs, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('buildModelHistory', () => {
+  it('keeps only the points where a value changed, oldest first', () => {
+    const limit = { context: 128000, output: 16384 };
+    const points = buildModelHistory([
+      { observed_at: '2026-03-01T00:00:00.000Z', source: 'build', cost: { input: 2 }, limit },
+      { observed_at: '2026-01-01T00:00:00.000Z', source: 'git', cost: { input: 2.5 }, limit },
+      { observed_at: '2026-02-01T00:00:00.000Z', source: 'archive', cost: { input: 2 }, limit },
+    ]);
+
+    assert.deepEqual(
+      points.map((p) => [p.source, p.cost.input]),
+      [
+        ['git', 2.5],
+        ['archive', 2],
+      ],
+    );
+  });
+});
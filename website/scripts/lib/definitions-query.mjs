@@ -0,0 +1,159 @@
+/**
+ * Filtering and tabular output for model definitions, used by `llmspec definitions …`
+ * (scripts/llmspec.mjs).
+ *
+ * Works on provider/model records in either shape: the published manifest
+ * (/definitions/definitions.json) or what definitions-source.mjs loads from TOML.
+ *
+ * Filter expressions address any field by its dotted path:
+ *
+ *   reasoning=true           equal (case-insensitive; on arrays: contains the value)
+ *   status!=deprecated       not equal (a missing field counts as not equal)
+ *   cost.input<1             <, <=, >, >= compare numbers, or strings such as dates
+ *   release_date>=2025-01-01
+ *   modalities.input~image   contains (substring; on arrays: any element)
+ *   cost.cache_read          present and truthy (non-empty for arrays)
+ *   !open_weights            missing or falsy
+ */
+
+const FILTER_RE = /^(!?)([A-Za-z0-9_.-]+)\s*(?:(!=|<=|>=|=|<|>|~)\s*(.*))?$/s;
+
+/** Reads a dotted path ("limit.context") from a record; undefined when absent. */
+export function getField(record, fieldPath) {
+  let value = record;
+  for (const key of fieldPath.split('.')) {
+    if (value == null || typeof value !== 'object' || Array.isArray(value)) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+function coerce(raw) {
+  const text = raw.trim();
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (text === 'null') return null;
+  if (text !== '' && Number.isFinite(Number(text))) return Number(text);
+  return text;
+}
+
+/**
+ * Parses one expression into { field, op, value, negate }. Throws with the accepted
+ * syntax on anything else, so a typo never silently matches everything.
+ */
+export function parseFilter(expr) {
+  const match = FILTER_RE.exec(String(expr ?? '').trim());
+  if (!match) {
+    throw new Error(`Invalid filter: ${JSON.stringify(expr)} (expected field, !field or field<op>value with =, !=, <, <=, >, >=, ~)`);
+  }
+  const [, bang, field, op, rawValue] = match;
+  if (bang && op) throw new Error(`Invalid filter: ${JSON.stringify(expr)} ("!" only applies to a bare field)`);
+  if (op && rawValue.trim() === '') throw new Error(`Invalid filter: ${JSON.stringify(expr)} (missing value after ${op})`);
+  if (op && /^[=<>!~]/.test(rawValue.trim())) throw new Error(`Invalid filter: ${JSON.stringify(expr)} (unknown operator)`);
+  return { field, op: op ?? 'truthy', value: op ? coerce(rawValue) : undefined, negate: bang === '!' };
+}
+
+function sameValue(actual, expected) {
+  if (typeof actual === 'number' && typeof expected === 'number') return actual === expected;
+  return String(actual).toLowerCase() === String(expected).toLowerCase();
+}
+
+function compare(actual, expected) {
+  if (typeof actual === 'number' && typeof expected === 'number') return actual - expected;
+  if (typeof actual === 'string' && typeof expected !== 'boolean' && expected !== null) {
+    const rhs = String(expected);
+    return actual < rhs ? -1 : actual > rhs ? 1 : 0;
+  }
+  return undefined;
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+export function matchesFilter(record, { field, op, value, negate }) {
+  const actual = getField(record, field);
+
+  if (op === 'truthy') return negate ? !isTruthy(actual) : isTruthy(actual);
+  if (op === '!=') return !matchesFilter(record, { field, op: '=', value });
+  if (actual === undefined) return false;
+
+  if (op === '=') {
+    return Array.isArray(actual) ? actual.some((item) => sameValue(item, value)) : sameValue(actual, value);
+  }
+  if (op === '~') {
+    const needle = String(value).toLowerCase();
+    const items = Array.isArray(actual) ? actual : [actual];
+    return items.some((item) => item != null && String(item).toLowerCase().includes(needle));
+  }
+
+  const order = compare(actual, value);
+  if (order === undefined) return false;
+  if (op === '<') return order < 0;
+  if (op === '<=') return order <= 0;
+  if (op === '>') return order > 0;
+  return order >= 0;
+}
+
+export function filterRecords(records, filters) {
+  return records.filter((record) => filters.every((f) => matchesFilter(record, f)));
+}
+
+/**
+ * Every model across providers, in manifest order. Each record keeps its own fields
+ * and gains `provider_name`, so filters and columns can use either.
+ */
+export function flattenModels(providers) {
+  return providers.flatMap((provider) =>
+    (provider.models ?? []).map((model) => ({ ...model, provider_name: provider.name })),
+  );
+}
+
+/**
+ * Finds a model by "<provider>/<model>". Model ids may contain slashes
+ * ("openrouter/anthropic/claude-sonnet-4"), so only the first one separates.
+ */
+export function findModel(providers, ref) {
+  const slash = String(ref).indexOf('/');
+  if (slash <= 0) throw new Error(`Expected <provider>/<model>, got ${JSON.stringify(ref)}`);
+  const providerId = ref.slice(0, slash);
+  const modelId = ref.slice(slash + 1);
+
+  const provider = providers.find((p) => p.id === providerId);
+  if (!provider) throw new Error(`Unknown provider: ${providerId}`);
+  const model = (provider.models ?? []).find((m) => m.id === modelId);
+  if (!model) throw new Error(`Unknown model: ${ref} (try "llmspec definitions models provider=${providerId}")`);
+  return { ...model, provider_name: provider.name };
+}
+
+/**
+ * Nested record → [[dotted path, value]] for key/value and CSV output. Arrays stay
+ * whole (formatCell joins them); undefined fields are skipped.
+ */
+export function flattenRecord(record, prefix = '') {
+  const out = [];
+  for (const [key, value] of Object.entries(record)) {
+    if (value === undefined) continue;
+    const fieldPath = prefix ? `${prefix}.${key}` : key;
+    if (value != null && typeof value === 'object' && !Array.isArray(value)) out.push(...flattenRecord(value, fieldPath));
+    else out.push([fieldPath, value]);
+  }
+  return out;
+}
+
+/** One value as text: arrays joined with ";", missing values empty. */
+export function formatCell(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.join(';');
+  return String(value);
+}
+
+function csvEscape(text) {
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** RFC 4180 CSV (CRLF line endings) with a header row. */
+export function toCsv(rows, columns) {
+  const lines = [columns, ...rows].map((row) => row.map((cell) => csvEscape(formatCell(cell))).join(','));
+  return `${lines.join('\r\n')}\r\n`;
+}
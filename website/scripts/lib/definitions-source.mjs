@@ -0,0 +1,885 @@
+/**
+ * Reads model/provider definitions from the TOML source tree and normalizes them.
+ *
+ * Shared by build-definitions.mjs (which packages the manifests) and the
+ * `llmspec definitions` CLI (which can query the source without a build), so both
+ * see exactly the same data: canonical cost keys, checked types, the same
+ * exclusions and the same ordering.
+ *
+ * Layout: <providersRootDir>/<provider>/provider.toml, optional logo.svg, and
+ * models/ with recursively-discovered .toml files (the file path is the model id).
+ *
+ * Overlay directories (private models, negotiated prices) use the same layout and
+ * are merged on top, in order; see loadProvidersFromToml.
+ *
+ * Nothing here throws on bad data. Problems are passed to the caller's
+ * reportIssue() and the offending field or file is left out.
+ */
+
+import * as fsp from 'node:fs/promises';
+import path from 'node:path';
+
+import { parse as parseToml } from 'smol-toml';
+
+const ALLOWED_STATUSES = new Set(['alpha', 'beta', 'deprecated']);
+
+// Canonical per-million-token cost keys (USD). Order here is the order in the output.
+export const COST_KEYS = ['input', 'output', 'cache_read', 'cache_write', 'reasoning', 'input_audio', 'output_audio', 'image'];
+
+// Upstream providers are not consistent about naming; map variants onto canonical keys.
+const COST_KEY_ALIASES = {
+  cached_input: 'cache_read',
+  cached_read: 'cache_read',
+  cached_write: 'cache_write',
+};
+
+// Tiered pricing tables (same keys as the base rates, applied past a context threshold).
+export const COST_TIER_KEYS = ['context_over_200k'];
+
+// [lifecycle] keys, in output order. Dates are YYYY-MM-DD; successor is a model id of the same provider.
+export const LIFECYCLE_KEYS = ['deprecation_date', 'retirement_date', 'successor'];
+
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Keep filtering logic in one place. DRY or suffer.
+ *
+ * Mirrors the style/pattern from build-skills.mjs.
+ */
+function shouldExcludePath(relPathLike, { isDirectory = false } = {}) {
+  // Normalize to forward slashes so matching is consistent across platforms.
+  // NOTE: relPathLike may be a nested path (e.g. "models/.git/config").
+  const rel = relPathLike.split(path.sep).join('/');
+  const base = path.posix.basename(rel);
+  const baseLower = base.toLowerCase();
+
+  // Basename-based exclusions (files)
+  if (base === '.DS_Store') return true;
+  if (baseLower.endsWith('.pyc')) return true;
+
+  // VCS + repo metadata (dir or file)
+  if (base === '.git' || base === '.svn' || base === '.hg') return true;
+  if (rel.includes('/.git/') || rel.includes('/.svn/') || rel.includes('/.hg/')) return true;
+
+  // Sensitive config files
+  if (base === '.env' || base.startsWith('.env.')) return true;
+  if (base === '.npmrc') return true;
+  if (base === '.yarnrc' || base === '.yarnrc.yml') return true;
+  if (base === '.pypirc') return true;
+
+  // Secrets / keys / certs
+  if (baseLower === 'id_rsa' || baseLower === 'id_ed25519') return true;
+  if (baseLower.endsWith('.pem')) return true;
+  if (baseLower.endsWith('.key')) return true;
+  if (baseLower.endsWith('.p12')) return true;
+  if (baseLower.endsWith('.pfx')) return true;
+
+  // Vim swap files
+  if (baseLower.endsWith('.swp') || baseLower.endsWith('.swo')) return true;
+
+  // Directory-based exclusions (and anything inside)
+  const segments = rel.split('/').filter(Boolean);
+  const excludedDirNames = new Set([
+    '__pycache__',
+    '.ssh',
+    'node_modules',
+    '.venv',
+    'venv',
+    'env',
+    'dist',
+    '.idea',
+    '.vscode',
+    '.terraform',
+  ]);
+
+  if (segments.some((seg) => excludedDirNames.has(seg))) return true;
+
+  // Any dot-prefixed directory (but NOT dotfiles like .gitkeep).
+  // We can only safely do this when the caller tells us it's a directory.
+  if (isDirectory && base.startsWith('.')) return true;
+
+  return false;
+}
+
+async function safeReadDir(dirAbs, { label = '', warn }) {
+  try {
+    return await fsp.readdir(dirAbs, { withFileTypes: true });
+  } catch (err) {
+    if (label) {
+      warn(`Failed to read directory (${label}): ${dirAbs}`);
+      warn(`  ${err instanceof Error ? err.message : String(err)}`);
+    }
+    return [];
+  }
+}
+
+/**
+ * Every data problem goes through the caller's reportIssue({ severity, rule, file,
+ * field, subject, message }); ctx carries the subject, file and reporter.
+ */
+function issue(ctx, { severity = 'error', rule, field, message }) {
+  ctx.reportIssue({ severity, rule, file: ctx.file, field, subject: ctx.subject, message });
+}
+
+function describeType(val) {
+  if (val === null) return 'null';
+  if (Array.isArray(val)) return 'array';
+  if (isPlainObject(val)) return 'table';
+  return typeof val;
+}
+
+/**
+ * Reads one field and reports missing/mistyped values.
+ *
+ * kind: 'string' | 'boolean' | 'number' | 'string[]' | 'table'
+ * Returns the value when the type is right, otherwise undefined
+ * (string[] keeps its string elements).
+ */
+function readField(ctx, container, key, kind, { required = false, fieldPath = key, min } = {}) {
+  const val = container?.[key];
+  const tableLabel = kind === 'table' ? `table: [${fieldPath}]` : `${kind} field: ${fieldPath}`;
+
+  if (val === undefined) {
+    if (required) {
+      issue(ctx, { rule: 'missing-field', field: fieldPath, message: `missing required ${tableLabel}` });
+    }
+    return undefined;
+  }
+
+  const typeOk = (() => {
+    if (kind === 'string') return typeof val === 'string';
+    if (kind === 'boolean') return typeof val === 'boolean';
+    if (kind === 'number') return typeof val === 'number' && Number.isFinite(val);
+    if (kind === 'string[]') return Array.isArray(val);
+    if (kind === 'table') return isPlainObject(val);
+    return false;
+  })();
+
+  if (!typeOk) {
+    issue(ctx, {
+      rule: 'invalid-type',
+      field: fieldPath,
+      message: `field ${fieldPath} should be ${kind}, got ${describeType(val)}`,
+    });
+    return undefined;
+  }
+
+  if (kind === 'string[]') {
+    const strings = asStringArray(val);
+    if (strings.length !== val.length) {
+      issue(ctx, {
+        rule: 'invalid-type',
+        field: fieldPath,
+        message: `field ${fieldPath} should only contain strings`,
+      });
+    }
+    if (required && strings.length === 0) {
+      issue(ctx, { rule: 'missing-field', field: fieldPath, message: `empty required ${tableLabel}` });
+    }
+    return strings;
+  }
+
+  if (kind === 'string' && required && !val.trim()) {
+    issue(ctx, { rule: 'missing-field', field: fieldPath, message: `empty required ${tableLabel}` });
+  }
+
+  if (kind === 'number' && min !== undefined && val < min) {
+    issue(ctx, {
+      rule: 'invalid-value',
+      field: fieldPath,
+      message: `field ${fieldPath} must be >= ${min}, got ${val}`,
+    });
+    return undefined;
+  }
+
+  return val;
+}
+
+function isPlainObject(val) {
+  return val != null && typeof val === 'object' && !Array.isArray(val);
+}
+
+function asStringArray(val) {
+  if (!Array.isArray(val)) return undefined;
+  const out = [];
+  for (const v of val) {
+    if (typeof v === 'string') out.push(v);
+  }
+  return out;
+}
+
+function asNumber(val) {
+  return typeof val === 'number' && Number.isFinite(val) ? val : undefined;
+}
+
+function normalizeProviderToml(providerId, providerToml, providerTomlPath, reportIssue) {
+  // The provider TOML schema is simple; we still validate types.
+  const ctx = { subject: `Provider '${providerId}'`, file: providerTomlPath, reportIssue };
+
+  const name = readField(ctx, providerToml, 'name', 'string', { required: true })?.trim();
+  const env = readField(ctx, providerToml, 'env', 'string[]', { required: true });
+  const npm = readField(ctx, providerToml, 'npm', 'string', { required: true })?.trim();
+  const doc = readField(ctx, providerToml, 'doc', 'string', { required: true })?.trim();
+  const api = readField(ctx, providerToml, 'api', 'string')?.trim();
+
+  return {
+    id: providerId,
+    name: name || providerId,
+    env: env || [],
+    npm: npm || '',
+    doc: doc || '',
+    api: api || undefined,
+  };
+}
+
+function normalizeCostRates(ctx, rawRates, fieldPrefix) {
+  const out = {};
+  const sourceKeys = {};
+  for (const [rawKey, rawValue] of Object.entries(rawRates)) {
+    if (COST_TIER_KEYS.includes(rawKey)) continue;
+
+    const fieldPath = `${fieldPrefix}.${rawKey}`;
+    const key = COST_KEY_ALIASES[rawKey] ?? rawKey;
+    if (!COST_KEYS.includes(key)) {
+      issue(ctx, {
+        severity: 'warning',
+        rule: 'unknown-cost-key',
+        field: fieldPath,
+        message: `has unknown cost key '${rawKey}' — omitting from output`,
+      });
+      continue;
+    }
+
+    const value = readField(ctx, rawRates, rawKey, 'number', { fieldPath, min: 0 });
+    if (value === undefined) continue;
+
+    // Canonical spelling wins over an alias if a file (oddly) carries both,
+    // whichever order they appear in.
+    if (key in out) {
+      const keptRawKey = rawKey === key ? key : sourceKeys[key];
+      const droppedRawKey = keptRawKey === rawKey ? sourceKeys[key] : rawKey;
+      issue(ctx, {
+        severity: 'warning',
+        rule: 'duplicate-cost-key',
+        field: `${fieldPrefix}.${droppedRawKey}`,
+        message: `has both ${fieldPrefix}.${keptRawKey} and ${fieldPrefix}.${droppedRawKey} — keeping ${fieldPrefix}.${keptRawKey}`,
+      });
+      if (keptRawKey !== rawKey) continue;
+    }
+    out[key] = value;
+    sourceKeys[key] = rawKey;
+  }
+
+  // Stable key order, regardless of TOML order.
+  const ordered = {};
+  for (const key of COST_KEYS) {
+    if (key in out) ordered[key] = out[key];
+  }
+  return ordered;
+}
+
+function normalizeCost(ctx, rawCost) {
+  if (!isPlainObject(rawCost)) return undefined;
+
+  const cost = normalizeCostRates(ctx, rawCost, 'cost');
+
+  for (const tierKey of COST_TIER_KEYS) {
+    const rawTier = readField(ctx, rawCost, tierKey, 'table', { fieldPath: `cost.${tierKey}` });
+    if (!rawTier) continue;
+    const tier = normalizeCostRates(ctx, rawTier, `cost.${tierKey}`);
+    if (Object.keys(tier).length > 0) cost[tierKey] = tier;
+  }
+
+  return Object.keys(cost).length > 0 ? cost : undefined;
+}
+
+function isIsoDate(value) {
+  if (!ISO_DATE_RE.test(value)) return false;
+  const parsed = new Date(`${value}T00:00:00Z`);
+  // Rejects well-formed but impossible days such as 2025-02-30.
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(value);
+}
+
+/**
+ * [lifecycle] table → { deprecation_date?, retirement_date?, successor? }, or
+ * undefined when there is nothing usable. The successor is checked against the
+ * provider's other models later, in loadProvidersFromToml.
+ */
+function normalizeLifecycle(ctx, rawLifecycle) {
+  if (!rawLifecycle) return undefined;
+
+  for (const key of Object.keys(rawLifecycle)) {
+    if (LIFECYCLE_KEYS.includes(key)) continue;
+    issue(ctx, {
+      severity: 'warning',
+      rule: 'invalid-value',
+      field: `lifecycle.${key}`,
+      message: `has unknown lifecycle key '${key}' — ignoring`,
+    });
+  }
+
+  const readDate = (key) => {
+    // Bare TOML dates (deprecation_date = 2025-06-01) parse as Date; their ISO form is the local date.
+    const value = rawLifecycle[key];
+    const raw =
+      value instanceof Date
+        ? value.toISOString()
+        : readField(ctx, rawLifecycle, key, 'string', { fieldPath: `lifecycle.${key}` })?.trim();
+    if (!raw) return undefined;
+    if (!isIsoDate(raw)) {
+      issue(ctx, {
+        rule: 'invalid-value',
+        field: `lifecycle.${key}`,
+        message: `field lifecycle.${key} must be a YYYY-MM-DD date, got '${raw}' — omitting`,
+      });
+      return undefined;
+    }
+    return raw;
+  };
+
+  const deprecationDate = readDate('deprecation_date');
+  const retirementDate = readDate('retirement_date');
+  const successor = readField(ctx, rawLifecycle, 'successor', 'string', { fieldPath: 'lifecycle.successor' })?.trim();
+
+  if (deprecationDate && retirementDate && retirementDate < deprecationDate) {
+    issue(ctx, {
+      severity: 'warning',
+      rule: 'invalid-value',
+      field: 'lifecycle.retirement_date',
+      message: `retires (${retirementDate}) before it is deprecated (${deprecationDate})`,
+    });
+  }
+
+  const lifecycle = {
+    ...(deprecationDate ? { deprecation_date: deprecationDate } : {}),
+    ...(retirementDate ? { retirement_date: retirementDate } : {}),
+    ...(successor ? { successor } : {}),
+  };
+  return Object.keys(lifecycle).length > 0 ? lifecycle : undefined;
+}
+
+/**
+ * One parsed model file → normalized model record. Exported for
+ * definitions-history.mjs, which normalizes old revisions of the same files.
+ */
+export function normalizeModelToml({ providerId, modelId, modelToml, modelTomlPath, reportIssue }) {
+  const ctx = { subject: `Model '${providerId}/${modelId}'`, file: modelTomlPath, reportIssue };
+
+  // Required strings
+  const nameRaw = readField(ctx, modelToml, 'name', 'string', { required: true })?.trim();
+  const family = readField(ctx, modelToml, 'family', 'string')?.trim();
+  const releaseDate = readField(ctx, modelToml, 'release_date', 'string', { required: true })?.trim();
+  const lastUpdated = readField(ctx, modelToml, 'last_updated', 'string', { required: true })?.trim();
+
+  // Required booleans
+  const attachment = readField(ctx, modelToml, 'attachment', 'boolean', { required: true });
+  const reasoning = readField(ctx, modelToml, 'reasoning', 'boolean', { required: true });
+  const toolCall = readField(ctx, modelToml, 'tool_call', 'boolean', { required: true });
+  const openWeights = readField(ctx, modelToml, 'open_weights', 'boolean', { required: true });
+
+  // Optional booleans
+  const temperature = readField(ctx, modelToml, 'temperature', 'boolean');
+  const structuredOutput = readField(ctx, modelToml, 'structured_output', 'boolean');
+
+  // Optional strings
+  const knowledge = readField(ctx, modelToml, 'knowledge', 'string')?.trim();
+
+  const statusRaw = readField(ctx, modelToml, 'status', 'string')?.trim()?.toLowerCase();
+  const status = statusRaw && ALLOWED_STATUSES.has(statusRaw) ? statusRaw : undefined;
+  if (statusRaw && !ALLOWED_STATUSES.has(statusRaw)) {
+    issue(ctx, {
+      rule: 'unknown-status',
+      field: 'status',
+      message: `has unknown status '${statusRaw}' — omitting from output`,
+    });
+  }
+
+  const lifecycle = normalizeLifecycle(ctx, readField(ctx, modelToml, 'lifecycle', 'table'));
+
+  // Optional description (future-proofing)
+  const description = readField(ctx, modelToml, 'description', 'string')?.trim();
+
+  // cost table (canonical keys, see COST_KEYS / COST_KEY_ALIASES)
+  const cost = normalizeCost(ctx, readField(ctx, modelToml, 'cost', 'table'));
+
+  // limit table (required)
+  const limit = readField(ctx, modelToml, 'limit', 'table', { required: true });
+
+  const limitOpts = (key, required) => ({ required: required && !!limit, fieldPath: `limit.${key}`, min: 0 });
+  const limitContext = readField(ctx, limit, 'context', 'number', limitOpts('context', true));
+  const limitOutput = readField(ctx, limit, 'output', 'number', limitOpts('output', true));
+  const limitInput = readField(ctx, limit, 'input', 'number', limitOpts('input', false));
+
+  // modalities table (required)
+  const modalities = readField(ctx, modelToml, 'modalities', 'table', { required: true });
+
+  const modalityOpts = (key) => ({ required: !!modalities, fieldPath: `modalities.${key}` });
+  const modInput = readField(ctx, modalities, 'input', 'string[]', modalityOpts('input')) || [];
+  const modOutput = readField(ctx, modalities, 'output', 'string[]', modalityOpts('output')) || [];
+
+  return {
+    id: modelId,
+    name: nameRaw || modelId,
+    family: family || undefined,
+    provider: providerId,
+
+    release_date: releaseDate || null,
+    last_updated: lastUpdated || null,
+
+    attachment: attachment ?? false,
+    reasoning: reasoning ?? false,
+    tool_call: toolCall ?? false,
+    open_weights: openWeights ?? false,
+
+    temperature: temperature ?? undefined,
+    structured_output: structuredOutput ?? undefined,
+    knowledge: knowledge || undefined,
+    status: status || undefined,
+    lifecycle,
+
+    description: description || undefined,
+
+    cost: cost || undefined,
+    limit: {
+      context: limitContext ?? null,
+      output: limitOutput ?? null,
+      ...(limitInput === undefined ? {} : { input: limitInput }),
+    },
+    modalities: {
+      input: modInput,
+      output: modOutput,
+    },
+  };
+}
+
+async function readTomlFile(tomlAbs, labelForWarnings, reportIssue) {
+  try {
+    const raw = await fsp.readFile(tomlAbs, 'utf8');
+    return parseToml(raw);
+  } catch (err) {
+    reportIssue({
+      rule: 'parse-error',
+      file: tomlAbs,
+      subject: `Failed to parse TOML (${labelForWarnings}):`,
+      message: err instanceof Error ? err.message : String(err),
+    });
+    return null;
+  }
+}
+
+async function listProviderDirs(providersRootDir, warn) {
+  const entries = await safeReadDir(providersRootDir, { label: 'providers root', warn });
+
+  const out = [];
+  for (const ent of entries) {
+    if (!ent.isDirectory()) continue;
+    if (shouldExcludePath(ent.name, { isDirectory: true })) continue;
+    out.push(ent.name);
+  }
+
+  // Deterministic initial order (final sort is by provider TOML name).
+  return sortAlphaCaseInsensitive(out);
+}
+
+async function listModelTomlFiles(modelsRootAbs, warn) {
+  // Async DFS. Explicit > clever.
+  const out = [];
+
+  async function walk(dirAbs, relFromModelsRoot) {
+    const entries = await safeReadDir(dirAbs, {
+      label: relFromModelsRoot ? `models scan: ${relFromModelsRoot}` : 'models scan: <root>',
+      warn,
+    });
+    for (const ent of entries) {
+      const childAbs = path.resolve(dirAbs, ent.name);
+      const childRel = relFromModelsRoot ? `${relFromModelsRoot}/${ent.name}` : ent.name;
+
+      if (shouldExcludePath(childRel, { isDirectory: ent.isDirectory() })) continue;
+
+      if (ent.isDirectory()) {
+        await walk(childAbs, childRel);
+      } else if (ent.isFile()) {
+        if (!ent.name.toLowerCase().endsWith('.toml')) continue;
+        out.push({ abs: childAbs, rel: childRel });
+      } else {
+        // ignore symlinks/sockets/etc (YAGNI)
+      }
+    }
+  }
+
+  await walk(modelsRootAbs, '');
+
+  // Deterministic; parsing/sorting by name happens later.
+  out.sort((a, b) => a.rel.localeCompare(b.rel, undefined, { sensitivity: 'base' }));
+  return out;
+}
+
+async function pathExists(p) {
+  try {
+    await fsp.access(p);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function isDirectory(p) {
+  try {
+    const st = await fsp.stat(p);
+    return st.isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+function toPosixPath(p) {
+  return p.split(path.sep).join('/');
+}
+
+function sortAlphaCaseInsensitive(values) {
+  return [...values].sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+}
+
+function defaultWarn(msg) {
+  console.warn(`\u001b[33m[warn]\u001b[0m ${msg}`);
+}
+
+// Provenance name of the base layer (the directory passed to loadProvidersFromToml).
+export const BASE_LAYER = 'upstream';
+
+// "acme=../overlays/acme/providers": an explicit overlay name before the path.
+const NAMED_OVERLAY_RE = /^([A-Za-z0-9][A-Za-z0-9._-]*)=(.+)$/s;
+
+/**
+ * Overlay directories → [{ name, dir }] for loadProvidersFromToml, in precedence
+ * order (later wins). Each entry is a path or `name=path`. Without a name, the
+ * directory's basename is used, or its parent's for a models.dev-style
+ * `<overlay>/providers`. The name shows up in provenance, so it has to be unique.
+ */
+export function resolveOverlayDirs(dirs, cwd = process.cwd()) {
+  const layers = [];
+  for (const entry of dirs) {
+    const named = NAMED_OVERLAY_RE.exec(entry);
+    const abs = path.resolve(cwd, named ? named[2] : entry);
+    let name = named?.[1] ?? path.basename(abs);
+    if (!named && name === 'providers') name = path.basename(path.dirname(abs));
+    if (name === BASE_LAYER || layers.some((layer) => layer.name === name)) {
+      throw new Error(
+        `Overlay name '${name}' is already taken (${abs}); give overlays distinct names with --overlay <name>=<dir>`,
+      );
+    }
+    layers.push({ name, dir: abs });
+  }
+  return layers;
+}
+
+/** Splits a path-delimited list ($LLMSPEC_OVERLAYS) into directories. */
+export function parseOverlayList(value) {
+  return String(value ?? '')
+    .split(path.delimiter)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function isTable(val) {
+  // smol-toml dates are Date objects; they are values, not tables.
+  return isPlainObject(val) && !(val instanceof Date);
+}
+
+/**
+ * Patches raw TOML `target` with `patch` in place: tables merge key by key, any
+ * other value (strings, numbers, dates, arrays) replaces. Every leaf the patch
+ * sets is recorded in `fields` as dotted path → layer name. The top-level `hidden`
+ * switch is not data and is skipped.
+ *
+ * Cost keys are merged under their canonical names, so a patch to cached_input
+ * replaces an upstream cache_read instead of sitting next to it.
+ */
+function mergeToml(target, patch, layerName, fields, prefix = '') {
+  const inCost = prefix === 'cost' || prefix.startsWith('cost.');
+  for (const [rawKey, val] of Object.entries(patch)) {
+    if (!prefix && rawKey === 'hidden') continue;
+    const key = inCost ? COST_KEY_ALIASES[rawKey] ?? rawKey : rawKey;
+    if (inCost) {
+      for (const [alias, canonical] of Object.entries(COST_KEY_ALIASES)) {
+        if (canonical === key) delete target[alias];
+      }
+    }
+    const fieldPath = prefix ? `${prefix}.${key}` : key;
+    if (isTable(val)) {
+      if (!isTable(target[key])) target[key] = {};
+      mergeToml(target[key], val, layerName, fields, fieldPath);
+    } else {
+      target[key] = val;
+      fields[fieldPath] = layerName;
+    }
+  }
+}
+
+function withoutHidden(toml) {
+  const { hidden: _hidden, ...rest } = toml;
+  return rest;
+}
+
+function getPath(record, fieldPath) {
+  return fieldPath.split('.').reduce((val, key) => (val == null ? undefined : val[key]), record);
+}
+
+/**
+ * { source, fields? } for a merged record, or undefined when the base layer alone
+ * defined it. `source` is the layer that added the record; `fields` lists the
+ * fields a later layer set (dotted paths, only those that made it into the
+ * record). Fields not listed come from `source`.
+ */
+function buildProvenance(source, rawFields, record) {
+  const fields = {};
+  for (const fieldPath of Object.keys(rawFields).sort()) {
+    if (getPath(record, fieldPath) !== undefined) fields[fieldPath] = rawFields[fieldPath];
+  }
+
+  const hasFields = Object.keys(fields).length > 0;
+  if (source === BASE_LAYER && !hasFields) return undefined;
+  return { source, ...(hasFields ? { fields } : {}) };
+}
+
+/**
+ * One directory's providers, unmerged: Map id → { dirAbs, tomlPath, toml, hasLogo,
+ * models: [{ id, file, toml }] }. `toml` is null when provider.toml is missing or
+ * broken (already reported). Only the base layer must have provider.toml and
+ * models/ for every provider; an overlay may just patch a few model files.
+ */
+async function readLayer(layerDir, { isBase, report, warn }) {
+  const providers = new Map();
+
+  for (const providerId of await listProviderDirs(layerDir, warn)) {
+    const providerDirAbs = path.resolve(layerDir, providerId);
+    const providerTomlPath = path.resolve(providerDirAbs, 'provider.toml');
+
+    let providerToml = null;
+    if (await pathExists(providerTomlPath)) {
+      providerToml = await readTomlFile(providerTomlPath, `provider:${providerId}`, report);
+    } else if (isBase) {
+      report({
+        severity: 'error',
+        rule: 'missing-file',
+        file: providerTomlPath,
+        subject: `Provider '${providerId}'`,
+        message: 'is missing provider.toml',
+      });
+    }
+
+    const hasLogo = await pathExists(path.resolve(providerDirAbs, 'logo.svg'));
+
+    const modelsRootAbs = path.resolve(providerDirAbs, 'models');
+    const hasModelsDir = await isDirectory(modelsRootAbs);
+    if (!hasModelsDir && isBase) {
+      report({
+        severity: 'warning',
+        rule: 'missing-file',
+        file: modelsRootAbs,
+        subject: `Provider '${providerId}'`,
+        message: 'has no models/ directory',
+      });
+    }
+
+    const modelFiles = hasModelsDir ? await listModelTomlFiles(modelsRootAbs, warn) : [];
+
+    const models = [];
+    for (const f of modelFiles) {
+      const modelId = toPosixPath(f.rel).replace(/\.toml$/i, '');
+
+      const parsed = await readTomlFile(f.abs, `model:${providerId}/${modelId}`, report);
+      if (parsed) models.push({ id: modelId, file: f.abs, toml: parsed });
+    }
+
+    providers.set(providerId, { dirAbs: providerDirAbs, tomlPath: providerTomlPath, toml: providerToml, hasLogo, models });
+  }
+
+  return providers;
+}
+
+/**
+ * Applies one overlay layer to the merged raw tree (Map id → provider entry; see
+ * loadProvidersFromToml). `hidden = true` in a provider.toml or model file removes
+ * that provider or model; a file for something no lower layer has adds it;
+ * anything else patches it.
+ */
+function applyOverlay(merged, layerProviders, layerName, report) {
+  const reportMissingTarget = (file, subject) =>
+    report({
+      severity: 'warning',
+      rule: 'unknown-overlay-target',
+      file,
+      subject,
+      message: `is hidden by overlay '${layerName}' but no lower layer defines it`,
+    });
+
+  for (const [providerId, layerProvider] of layerProviders) {
+    const subject = `Provider '${providerId}'`;
+    if (layerProvider.toml?.hidden === true) {
+      if (!merged.delete(providerId)) reportMissingTarget(layerProvider.tomlPath, subject);
+      continue;
+    }
+
+    let entry = merged.get(providerId);
+    if (!entry) {
+      if (!layerProvider.toml) {
+        report({
+          severity: 'error',
+          rule: 'missing-file',
+          file: layerProvider.tomlPath,
+          subject,
+          message: `is new in overlay '${layerName}' but has no provider.toml`,
+        });
+      }
+      entry = {
+        file: layerProvider.tomlPath,
+        toml: withoutHidden(layerProvider.toml ?? {}),
+        source: layerName,
+        fields: {},
+        hasLogo: layerProvider.hasLogo,
+        models: new Map(),
+      };
+      merged.set(providerId, entry);
+    } else if (layerProvider.toml) {
+      mergeToml(entry.toml, layerProvider.toml, layerName, entry.fields);
+      entry.file = layerProvider.tomlPath;
+      entry.hasLogo ||= layerProvider.hasLogo;
+    }
+
+    for (const model of layerProvider.models) {
+      const modelSubject = `Model '${providerId}/${model.id}'`;
+      if (model.toml.hidden === true) {
+        if (!entry.models.delete(model.id)) reportMissingTarget(model.file, modelSubject);
+        continue;
+      }
+
+      const existing = entry.models.get(model.id);
+      if (existing) {
+        mergeToml(existing.toml, model.toml, layerName, existing.fields);
+        existing.file = model.file;
+      } else {
+        entry.models.set(model.id, { file: model.file, toml: withoutHidden(model.toml), source: layerName, fields: {} });
+      }
+    }
+  }
+}
+
+/**
+ * Loads every provider under `providersRootDir`, with `overlays` applied on top.
+ *
+ * Returns providers sorted by name, each with its models sorted by name:
+ * [{ id, name, env, npm, doc, api?, has_logo, model_count, provenance?, models }].
+ * Models are the full normalized records (build-definitions.mjs trims them for the
+ * public manifest).
+ *
+ * - `overlays` is [{ name, dir }] (see resolveOverlayDirs), lowest precedence
+ *   first. Overlays use the same layout and are merged as raw TOML before
+ *   normalization, so a patch goes through the same checks as upstream data.
+ *   Records an overlay touched carry `provenance` (see buildProvenance); issues
+ *   point at the last file that touched the record.
+ * - `reportIssue({ severity, rule, file, field, subject, message })` receives every
+ *   data problem; the default prints a warning
+ * - `warn(msg)` receives I/O trouble that isn't a data problem (unreadable directories)
+ *
+ * The caller checks that `providersRootDir` exists; a missing root yields [].
+ */
+export async function loadProvidersFromToml(providersRootDir, { overlays = [], reportIssue, warn = defaultWarn } = {}) {
+  const report =
+    reportIssue ??
+    (({ file, subject, message }) => {
+      warn(`${subject} ${message}${file ? ` (${file})` : ''}`);
+    });
+
+  // Raw merged tree: id → { file, toml, source, fields, hasLogo, models: Map id → { file, toml, source, fields } }.
+  const merged = new Map();
+  for (const [providerId, baseProvider] of await readLayer(providersRootDir, { isBase: true, report, warn })) {
+    merged.set(providerId, {
+      file: baseProvider.tomlPath,
+      toml: baseProvider.toml ?? {},
+      source: BASE_LAYER,
+      fields: {},
+      hasLogo: baseProvider.hasLogo,
+      models: new Map(
+        baseProvider.models.map((m) => [m.id, { file: m.file, toml: m.toml, source: BASE_LAYER, fields: {} }]),
+      ),
+    });
+  }
+
+  for (const overlay of overlays) {
+    if (!(await isDirectory(overlay.dir))) {
+      warn(`Overlay '${overlay.name}' not found: ${overlay.dir}`);
+      continue;
+    }
+    applyOverlay(merged, await readLayer(overlay.dir, { isBase: false, report, warn }), overlay.name, report);
+  }
+
+  const providers = [];
+
+  for (const [providerId, entry] of merged) {
+    const providerMeta = normalizeProviderToml(providerId, entry.toml, entry.file, report);
+
+    const models = [];
+    const modelFileById = new Map();
+    for (const [modelId, modelEntry] of entry.models) {
+      try {
+        const model = normalizeModelToml({
+          providerId,
+          modelId,
+          modelToml: modelEntry.toml,
+          modelTomlPath: modelEntry.file,
+          reportIssue: report,
+        });
+        model.provenance = buildProvenance(modelEntry.source, modelEntry.fields, model);
+        models.push(model);
+        modelFileById.set(modelId, modelEntry.file);
+      } catch (err) {
+        // normalizeModelToml should never throw, but we still guard.
+        warn(`Unexpected error normalizing model TOML: ${providerId}/${modelId}`);
+        warn(`${err instanceof Error ? err.stack ?? err.message : String(err)}`);
+      }
+    }
+
+    // A successor has to be another model of this provider, so the site can link to it.
+    const modelIds = new Set(models.map((m) => m.id));
+    for (const model of models) {
+      const successor = model.lifecycle?.successor;
+      if (!successor || (successor !== model.id && modelIds.has(successor))) continue;
+
+      report({
+        severity: 'error',
+        rule: 'unknown-successor',
+        file: modelFileById.get(model.id),
+        field: 'lifecycle.successor',
+        subject: `Model '${providerId}/${model.id}'`,
+        message:
+          successor === model.id
+            ? 'names itself as its successor — omitting'
+            : `names successor '${successor}', which is not a model of provider ${providerId} — omitting`,
+      });
+      delete model.lifecycle.successor;
+      if (Object.keys(model.lifecycle).length === 0) model.lifecycle = undefined;
+    }
+
+    // Deterministic ordering by visible name.
+    models.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+
+    const provenance = buildProvenance(entry.source, entry.fields, providerMeta);
+    providers.push({
+      id: providerMeta.id,
+      name: providerMeta.name,
+      env: providerMeta.env,
+      npm: providerMeta.npm,
+      doc: providerMeta.doc,
+      ...(providerMeta.api ? { api: providerMeta.api } : {}),
+      has_logo: entry.hasLogo,
+      model_count: models.length,
+      ...(provenance ? { provenance } : {}),
+      models,
+    });
+  }
+
+  // Providers sorted alphabetically by display name.
+  providers.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+  return providers;
+}
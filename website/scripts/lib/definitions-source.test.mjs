@@ -0,0 +1,32 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+
+import { resolveOverlayDirs } from './definitions-source.mjs';
+
+describe('resolveOverlayDirs', () => {
+  const cwd = path.resolve('/work');
+
+  it('names an overlay after its directory', () => {
+    assert.deepEqual(resolveOverlayDirs(['overlays/acme'], cwd), [{ name: 'acme', dir: path.resolve(cwd, 'overlays/acme') }]);
+  });
+
+  it('names a models.dev-style <overlay>/providers directory after its parent', () => {
+    assert.deepEqual(
+      resolveOverlayDirs(['overlays/acme/providers', 'overlays/finance/providers'], cwd).map((o) => o.name),
+      ['acme', 'finance'],
+    );
+  });
+
+  it('takes an explicit name=path', () => {
+    assert.deepEqual(resolveOverlayDirs(['contracts=../private/providers'], cwd), [
+      { name: 'contracts', dir: path.resolve(cwd, '../private/providers') },
+    ]);
+  });
+
+  it('rejects duplicate names and the upstream layer name', () => {
+    assert.throws(() => resolveOverlayDirs(['a/acme', 'b/acme'], cwd), { message: /'acme' is already taken/ });
+    assert.throws(() => resolveOverlayDirs(['x=a/one', 'x=b/two'], cwd), { message: /'x' is already taken/ });
+    assert.throws(() => resolveOverlayDirs(['upstream=overlays/acme'], cwd), { message: /'upstream' is already taken/ });
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * Minimal JSON Schema (draft 2020-12) validator for the manifests we publish.
+ *
+ * It supports exactly the keywords our buildJsonSchema() functions emit, plus a
+ * few obvious neighbours. Anything else, including a `format` it doesn't check,
+ * throws instead of silently passing — a validator that ignores keywords it
+ * doesn't know is worse than none.
+ *
+ * No dependencies, so consumers can copy this file next to a downloaded manifest.
+ */
+
+// Keywords that carry no validation semantics for us.
+const ANNOTATION_KEYWORDS = new Set([
+  '$schema',
+  '$id',
+  '$defs',
+  '$comment',
+  'title',
+  'description',
+  'examples',
+  'default',
+  'deprecated',
+  'readOnly',
+  'writeOnly',
+]);
+
+const SUPPORTED_KEYWORDS = new Set([
+  ...ANNOTATION_KEYWORDS,
+  '$ref',
+  'type',
+  'enum',
+  'const',
+  'required',
+  'properties',
+  'additionalProperties',
+  'items',
+  'minItems',
+  'maxItems',
+  'uniqueItems',
+  'minimum',
+  'maximum',
+  'minLength',
+  'maxLength',
+  'pattern',
+  'format',
+  'allOf',
+  'anyOf',
+  'oneOf',
+]);
+
+// RFC 3339 date-time; strict enough to catch garbage, loose enough for Date#toISOString().
+const DATE_TIME_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function isAbsoluteUri(val) {
+  try {
+    new URL(val);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// `format` values we check: [test, message]. Any other value throws like an unknown keyword.
+const FORMATS = {
+  'date-time': [(val) => DATE_TIME_RE.test(val), 'must be an RFC 3339 date-time'],
+  date: [(val) => DATE_RE.test(val), 'must be a YYYY-MM-DD date'],
+  uri: [isAbsoluteUri, 'must be an absolute URI'],
+};
+
+function isPlainObject(val) {
+  return val != null && typeof val === 'object' && !Array.isArray(val);
+}
+
+function typeOf(val) {
+  if (val === null) return 'null';
+  if (Array.isArray(val)) return 'array';
+  if (typeof val === 'number') return Number.isInteger(val) ? 'integer' : 'number';
+  return typeof val;
+}
+
+function matchesType(val, type) {
+  const actual = typeOf(val);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function escapePointerToken(token) {
+  return String(token).replaceAll('~', '~0').replaceAll('/', '~1');
+}
+
+function resolveRef(rootSchema, ref) {
+  if (!ref.startsWith('#')) throw new Error(`Unsupported $ref (only local refs are supported): ${ref}`);
+
+  const tokens = ref
+    .slice(1)
+    .split('/')
+    .filter(Boolean)
+    .map((t) => decodeURIComponent(t).replaceAll('~1', '/').replaceAll('~0', '~'));
+
+  let node = rootSchema;
+  for (const t of tokens) {
+    if (!isPlainObject(node) || !(t in node)) throw new Error(`Unresolvable $ref: ${ref}`);
+    node = node[t];
+  }
+  return node;
+}
+
+function deepEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Validates `data` against `schema`.
+ *
+ * Returns an array of { path, message } (empty when valid). `path` is a JSON
+ * Pointer into `data` (e.g. "/providers/3/models/0/cost/input").
+ *
+ * Options:
+ * - maxErrors: stop collecting after this many (default 100).
+ */
+export function validateAgainstSchema(schema, data, { maxErrors = 100 } = {}) {
+  // `errors` is swapped out while probing anyOf/oneOf branches.
+  let errors = [];
+
+  const push = (pointer, message) => {
+    if (errors.length < maxErrors) errors.push({ path: pointer || '/', message });
+  };
+
+  const matches = (node, val, pointer) => {
+    const outer = errors;
+    errors = [];
+    check(node, val, pointer);
+    const ok = errors.length === 0;
+    errors = outer;
+    return ok;
+  };
+
+  function check(node, val, pointer) {
+    if (errors.length >= maxErrors) return;
+    if (node === true) return;
+    if (node === false) {
+      push(pointer, 'is not allowed');
+      return;
+    }
+    if (!isPlainObject(node)) throw new Error(`Invalid schema node at ${pointer || '/'}`);
+
+    for (const keyword of Object.keys(node)) {
+      if (!SUPPORTED_KEYWORDS.has(keyword)) throw new Error(`Unsupported schema keyword: ${keyword}`);
+    }
+    if (node.format !== undefined && !Object.hasOwn(FORMATS, node.format)) {
+      throw new Error(`Unsupported format: ${node.format}`);
+    }
+
+    if (node.$ref !== undefined) check(resolveRef(schema, node.$ref), val, pointer);
+
+    if (node.type !== undefined) {
+      const types = Array.isArray(node.type) ? node.type : [node.type];
+      if (!types.some((t) => matchesType(val, t))) {
+        push(pointer, `must be ${types.join(' or ')}, got ${typeOf(val)}`);
+        return;
+      }
+    }
+
+    if (node.enum !== undefined && !node.enum.some((e) => deepEqual(e, val))) {
+      push(pointer, `must be one of ${node.enum.map((e) => JSON.stringify(e)).join(', ')}`);
+    }
+    if (node.const !== undefined && !deepEqual(node.const, val)) {
+      push(pointer, `must equal ${JSON.stringify(node.const)}`);
+    }
+
+    if (typeof val === 'number') {
+      if (node.minimum !== undefined && val < node.minimum) push(pointer, `must be >= ${node.minimum}`);
+      if (node.maximum !== undefined && val > node.maximum) push(pointer, `must be <= ${node.maximum}`);
+    }
+
+    if (typeof val === 'string') {
+      if (node.minLength !== undefined && val.length < node.minLength) {
+        push(pointer, `must be at least ${node.minLength} characters`);
+      }
+      if (node.maxLength !== undefined && val.length > node.maxLength) {
+        push(pointer, `must be at most ${node.maxLength} characters`);
+      }
+      if (node.pattern !== undefined && !new RegExp(node.pattern, 'u').test(val)) {
+        push(pointer, `must match pattern ${node.pattern}`);
+      }
+      if (node.format !== undefined) {
+        const [test, message] = FORMATS[node.format];
+        if (!test(val)) push(pointer, message);
+      }
+    }
+
+    if (Array.isArray(val)) {
+      if (node.minItems !== undefined && val.length < node.minItems) {
+        push(pointer, `must have at least ${node.minItems} items`);
+      }
+      if (node.maxItems !== undefined && val.length > node.maxItems) {
+        push(pointer, `must have at most ${node.maxItems} items`);
+      }
+      if (node.uniqueItems === true) {
+        const seen = new Set();
+        for (const item of val) {
+          const key = JSON.stringify(item);
+          if (seen.has(key)) {
+            push(pointer, 'must not contain duplicate items');
+            break;
+          }
+          seen.add(key);
+        }
+      }
+      if (node.items !== undefined) {
+        val.forEach((item, i) => check(node.items, item, `${pointer}/${i}`));
+      }
+    }
+
+    if (isPlainObject(val)) {
+      for (const key of node.required ?? []) {
+        if (!(key in val)) push(pointer, `is missing required property '${key}'`);
+      }
+
+      const properties = node.properties ?? {};
+      for (const [key, child] of Object.entries(val)) {
+        const childPointer = `${pointer}/${escapePointerToken(key)}`;
+        if (key in properties) {
+          check(properties[key], child, childPointer);
+        } else if (node.additionalProperties === false) {
+          push(childPointer, 'is not allowed by the schema (additionalProperties: false)');
+        } else if (isPlainObject(node.additionalProperties)) {
+          check(node.additionalProperties, child, childPointer);
+        }
+      }
+    }
+
+    if (node.allOf !== undefined) node.allOf.forEach((sub) => check(sub, val, pointer));
+
+    const countMatches = (subs) => subs.filter((sub) => matches(sub, val, pointer)).length;
+    if (node.anyOf !== undefined && countMatches(node.anyOf) === 0) push(pointer, 'must match at least one schema in anyOf');
+    if (node.oneOf !== undefined && countMatches(node.oneOf) !== 1) push(pointer, 'must match exactly one schema in oneOf');
+  }
+
+  check(schema, data, '');
+  return errors;
+}
+
+/**
+ * Throws a single readable Error when `data` doesn't conform. `label` names the
+ * document in the message (e.g. "definitions.json").
+ */
+export function assertMatchesSchema(schema, data, label = 'document') {
+  const errors = validateAgainstSchema(schema, data);
+  if (errors.length === 0) return;
+
+  const lines = errors.slice(0, 20).map((e) => `  ${e.path}: ${e.message}`);
+  if (errors.length > 20) lines.push(`  …and ${errors.length - 20} more`);
+  throw new Error(`${label} does not match its schema (${errors.length} violation(s)):\n${lines.join('\n')}`);
+}
@@ -0,0 +1,408 @@
+/**
+ * Markdown renditions of the catalogs for LLMs (https://llmstxt.org).
+ *
+ * build-llms.mjs renders, from the internal catalogs in src/data/:
+ *
+ * - /llms.txt                         index: every skill and provider, one line each
+ * - /llms-full.txt                    every skill's description and files, every provider's model table
+ * - /skills/<group>/<skill>.md        one skill: metadata, file listing, SKILL.md
+ * - /definitions/<provider>.md        one provider: env vars, SDK, compact model table
+ *
+ * Every document has a token budget. Tokens are estimated at ~4 characters each,
+ * which is close enough for English Markdown and keeps the build dependency-free.
+ * What doesn't fit is cut at a line boundary and replaced by a note linking to the
+ * complete source (HTML page, JSON shard or ZIP), so nothing is silently missing.
+ * All links are absolute, so a document still works when pasted on its own.
+ */
+
+export const CHARS_PER_TOKEN = 4;
+
+export const SKILL_MAX_TOKENS = 16_000;
+export const PROVIDER_MAX_TOKENS = 12_000;
+export const LLMS_TXT_MAX_TOKENS = 10_000;
+export const LLMS_FULL_MAX_TOKENS = 150_000;
+
+// llms.txt shortens descriptions step by step until the index fits.
+const INDEX_DESCRIPTION_CAPS = [240, 120, 60, 0];
+
+export function estimateTokens(text) {
+  return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+}
+
+function formatTokens(tokens) {
+  return tokens >= 1000 ? `~${(tokens / 1000).toFixed(1).replace(/\.0$/, '')}K tokens` : `~${tokens} tokens`;
+}
+
+function formatBytes(bytes) {
+  if (!Number.isFinite(bytes) || bytes <= 0) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let size = bytes;
+  let u = 0;
+  while (size >= 1024 && u < units.length - 1) {
+    size /= 1024;
+    u += 1;
+  }
+  return `${size.toFixed(u === 0 ? 0 : 1)} ${units[u]}`;
+}
+
+// Same rounding as ModelCard.astro, so the Markdown matches the pages.
+function formatCompactInt(value) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) return '—';
+  if (value >= 1_000_000) {
+    const m = value / 1_000_000;
+    return `${m % 1 === 0 ? m.toFixed(0) : m.toFixed(1)}M`;
+  }
+  if (value >= 1_000) return `${Math.round(value / 1_000)}K`;
+  return `${Math.round(value)}`;
+}
+
+function formatPrice(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? String(value) : '—';
+}
+
+function oneLine(text) {
+  return String(text ?? '').replace(/\s+/g, ' ').trim();
+}
+
+function shorten(text, maxChars) {
+  const flat = oneLine(text);
+  if (flat.length <= maxChars) return flat;
+  const cut = flat.slice(0, maxChars - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > maxChars / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s,;:.]+$/, '')}…`;
+}
+
+function tableCell(value) {
+  return oneLine(value).replace(/\|/g, '\\|');
+}
+
+/**
+ * `text` cut at the last line break that keeps it within `maxTokens`, or unchanged
+ * when it already fits. Returns { text, truncated }.
+ */
+export function truncateToTokens(text, maxTokens) {
+  const maxChars = Math.max(0, maxTokens * CHARS_PER_TOKEN);
+  if (text.length <= maxChars) return { text, truncated: false };
+  const cut = text.slice(0, maxChars);
+  const lastBreak = cut.lastIndexOf('\n');
+  return { text: (lastBreak > 0 ? cut.slice(0, lastBreak) : cut).trimEnd(), truncated: true };
+}
+
+export function skillPageUrl(baseUrl, groupSlug, skill) {
+  return `${baseUrl}/skills/${groupSlug}/${skill.folder}/`;
+}
+
+export function skillMarkdownUrl(baseUrl, groupSlug, skill) {
+  return `${baseUrl}/skills/${groupSlug}/${skill.folder}.md`;
+}
+
+export function providerMarkdownUrl(baseUrl, provider) {
+  return `${baseUrl}/definitions/${provider.id}.md`;
+}
+
+function skillFileUrl(baseUrl, groupSlug, skill, filePath) {
+  return `${skillPageUrl(baseUrl, groupSlug, skill)}files/${filePath.split('/').map(encodeURIComponent).join('/')}/`;
+}
+
+/**
+ * Relative links in SKILL.md ("references/forms.md#fields") → absolute file page
+ * URLs, for files that are packaged. Other links are left alone.
+ */
+function absolutizeSkillLinks(body, { baseUrl, groupSlug, skill }) {
+  const packaged = new Set((skill.files ?? []).map((f) => f.path));
+  return body.replace(/\]\(([^)\s]+)\)/g, (match, target) => {
+    if (/^(?:[a-z][a-z0-9+.-]*:|#|\/)/i.test(target)) return match;
+    const [rawPath, fragment] = target.split('#');
+    const filePath = rawPath.replace(/^\.\//, '');
+    if (!packaged.has(filePath)) return match;
+    return `](${skillFileUrl(baseUrl, groupSlug, skill, filePath)}${fragment ? `#${fragment}` : ''})`;
+  });
+}
+
+/**
+ * One skill: description, metadata, links, file listing, then SKILL.md (without
+ * frontmatter). Only SKILL.md is cut to fit `maxTokens`.
+ */
+export function renderSkillMarkdown({ skill, group, body, baseUrl, maxTokens = SKILL_MAX_TOKENS }) {
+  const pageUrl = skillPageUrl(baseUrl, group.slug, skill);
+  const license = skill.license?.spdx ?? skill.license?.text;
+  const dependencies = [
+    ...(skill.dependencies?.python ?? []).map((d) => `${d} (python)`),
+    ...(skill.dependencies?.node ?? []).map((d) => `${d} (node)`),
+    ...(skill.dependencies?.other ?? []),
+  ];
+
+  const facts = [
+    `Group: ${group.name}`,
+    license ? `License: ${oneLine(license)}` : null,
+    skill.version ? `Version: ${skill.version}` : null,
+    `Files: ${skill.file_count}`,
+    `ZIP: ${formatBytes(skill.zip_size_bytes)}`,
+  ].filter(Boolean);
+
+  const head = [
+    `# ${skill.name}`,
+    '',
+    `> ${oneLine(skill.description)}`,
+    '',
+    facts.join(' · '),
+    '',
+    `- Page: ${pageUrl}`,
+    `- Download: ${baseUrl}${skill.download_url} (sha256 ${skill.sha256})`,
+    `- Index: ${baseUrl}/llms.txt`,
+    ...(skill.tags?.length ? [`- Tags: ${skill.tags.join(', ')}`] : []),
+    ...(dependencies.length ? [`- Dependencies: ${dependencies.join(', ')}`] : []),
+    '',
+    '## Files',
+    '',
+    ...(skill.files ?? []).map(
+      (f) => `- [${f.path}](${skillFileUrl(baseUrl, group.slug, skill, f.path)}) (${formatBytes(f.size_bytes)})`,
+    ),
+    '',
+    '## SKILL.md',
+    '',
+    '',
+  ].join('\n');
+
+  const fullBody = absolutizeSkillLinks(String(body ?? '').trim(), { baseUrl, groupSlug: group.slug, skill });
+  const note = `\n\n> SKILL.md was cut to fit ~${maxTokens} tokens. Full file: ${skillFileUrl(baseUrl, group.slug, skill, 'SKILL.md')}`;
+  const { text, truncated } = truncateToTokens(fullBody, maxTokens - estimateTokens(head) - estimateTokens(note));
+  return `${head}${text}${truncated ? note : ''}\n`;
+}
+
+const CAPABILITY_FLAGS = [
+  ['reasoning', 'R'],
+  ['tool_call', 'T'],
+  ['structured_output', 'S'],
+  ['attachment', 'A'],
+  ['open_weights', 'O'],
+];
+
+const CAPABILITY_LEGEND =
+  'Caps: R reasoning, T tool calling, S structured output, A attachments, O open weights. ' +
+  'Inputs other than text are listed. Prices are USD per 1M tokens.';
+
+function modelRow(model) {
+  const caps = CAPABILITY_FLAGS.filter(([field]) => model[field] === true)
+    .map(([, flag]) => flag)
+    .join('');
+  const inputs = (model.modalities?.input ?? []).filter((m) => m !== 'text').join('+');
+  const notes = [
+    model.status === 'deprecated' ? 'deprecated' : null,
+    model.lifecycle?.retirement_date ? `retires ${model.lifecycle.retirement_date}` : null,
+    model.lifecycle?.successor ? `successor \`${model.lifecycle.successor}\`` : null,
+  ].filter(Boolean);
+  const name = notes.length > 0 ? `${model.name} (${notes.join('; ')})` : model.name;
+  return `| ${[
+    `\`${model.id}\``,
+    tableCell(name),
+    formatCompactInt(model.limit?.context),
+    formatCompactInt(model.limit?.output),
+    formatPrice(model.cost?.input),
+    formatPrice(model.cost?.output),
+    formatPrice(model.cost?.cache_read),
+    caps || '—',
+    inputs || '—',
+    model.release_date ?? '—',
+  ].join(' | ')} |`;
+}
+
+const MODEL_TABLE_HEADER = [
+  '| Model | Name | Context | Output | In | Out | Cache read | Caps | Inputs | Released |',
+  '| --- | --- | --- | --- | --- | --- | --- | --- | --- | --- |',
+].join('\n');
+
+function providerFacts(provider, baseUrl) {
+  return [
+    provider.env?.length ? `- Env: ${provider.env.map((e) => `\`${e}\``).join(', ')}` : null,
+    provider.npm ? `- npm: \`${provider.npm}\`` : null,
+    provider.api ? `- API: ${provider.api}` : null,
+    provider.doc ? `- Docs: ${provider.doc}` : null,
+    `- Page: ${baseUrl}/definitions/${provider.id}/`,
+    `- JSON: ${baseUrl}/definitions/providers/${provider.id}.json`,
+  ].filter(Boolean);
+}
+
+/**
+ * Model table rows that fit `maxTokens`; the rest are counted in `omitted`.
+ */
+function renderModelTable(models, maxTokens) {
+  const rows = [];
+  let tokens = estimateTokens(MODEL_TABLE_HEADER);
+  for (const model of models) {
+    const row = modelRow(model);
+    const rowTokens = estimateTokens(row) + 1;
+    if (tokens + rowTokens > maxTokens) break;
+    rows.push(row);
+    tokens += rowTokens;
+  }
+  return { text: [MODEL_TABLE_HEADER, ...rows].join('\n'), omitted: models.length - rows.length };
+}
+
+function omittedNote(omitted, provider, baseUrl, maxTokens) {
+  return `> ${omitted} more models omitted to fit ~${maxTokens} tokens. All models: ${baseUrl}/definitions/providers/${provider.id}.json`;
+}
+
+/**
+ * One provider: connection details and a compact table of its models, cut to
+ * `maxTokens` row by row.
+ */
+export function renderProviderMarkdown({ provider, baseUrl, maxTokens = PROVIDER_MAX_TOKENS }) {
+  const models = provider.models ?? [];
+  const head = [
+    `# ${provider.name} models`,
+    '',
+    `> ${models.length} ${models.length === 1 ? 'model' : 'models'} from ${provider.name} (provider id \`${provider.id}\`).`,
+    '',
+    ...providerFacts(provider, baseUrl),
+    `- Index: ${baseUrl}/llms.txt`,
+    '',
+    CAPABILITY_LEGEND,
+    '',
+    '',
+  ].join('\n');
+
+  // Leave room for the omission note.
+  const reserve = estimateTokens(omittedNote(models.length, provider, baseUrl, maxTokens)) + 2;
+  const table = renderModelTable(models, maxTokens - estimateTokens(head) - reserve);
+  const tail = table.omitted > 0 ? `\n\n${omittedNote(table.omitted, provider, baseUrl, maxTokens)}` : '';
+  return `${head}${table.text}${tail}\n`;
+}
+
+function summaryLine({ skillsCatalog, definitionsCatalog }) {
+  return (
+    `> LLMSPEC publishes ${skillsCatalog.total_skills} curated agent skills (SKILL.md instructions packaged with ` +
+    `scripts and references) and definitions of ${definitionsCatalog.total_models} models from ` +
+    `${definitionsCatalog.total_providers} providers: context limits, capabilities and prices.`
+  );
+}
+
+function machineReadableLinks(baseUrl) {
+  return [
+    `- [skills.json](${baseUrl}/skills/skills.json): every skill with its ZIP download URL, size and sha256`,
+    `- [definitions.json](${baseUrl}/definitions/definitions.json): every provider with its models (see /definitions/schema.json)`,
+    `- [definitions.csv](${baseUrl}/definitions/definitions.csv): one row per provider-model`,
+    `- [changelog.json](${baseUrl}/definitions/changelog.json): added, removed and repriced models per build`,
+  ];
+}
+
+/**
+ * /llms.txt. `tokenCounts` maps each linked Markdown URL to its estimated size, so
+ * a model can decide what to fetch. Descriptions shrink until the index fits.
+ */
+export function renderLlmsIndex({ skillsCatalog, definitionsCatalog, baseUrl, tokenCounts, fullTokens, maxTokens = LLMS_TXT_MAX_TOKENS }) {
+  const sizeOf = (url) => (tokenCounts.has(url) ? ` (${formatTokens(tokenCounts.get(url))})` : '');
+
+  const render = (descriptionCap) => {
+    const lines = [
+      '# LLMSPEC',
+      '',
+      summaryLine({ skillsCatalog, definitionsCatalog }),
+      '',
+      'Every link below is a Markdown document sized for a context window; sizes are estimates.',
+      'Skill documents include SKILL.md and link each packaged file. Provider documents are compact model tables.',
+      '',
+      '## Skills',
+    ];
+    for (const group of skillsCatalog.groups ?? []) {
+      lines.push('', `### ${group.name}`, '');
+      for (const skill of group.skills ?? []) {
+        const url = skillMarkdownUrl(baseUrl, group.slug, skill);
+        const description = descriptionCap > 0 ? `: ${shorten(skill.description, descriptionCap)}` : '';
+        lines.push(`- [${skill.name}](${url})${sizeOf(url)}${description}`);
+      }
+    }
+
+    lines.push('', '## Model definitions', '');
+    for (const provider of definitionsCatalog.providers ?? []) {
+      const url = providerMarkdownUrl(baseUrl, provider);
+      const env = descriptionCap > 0 && provider.env?.length ? `; env ${provider.env.join(', ')}` : '';
+      lines.push(`- [${provider.name}](${url})${sizeOf(url)}: ${provider.model_count} models${env}`);
+    }
+
+    lines.push('', '## Machine-readable', '', ...machineReadableLinks(baseUrl));
+    lines.push(
+      '',
+      '## Optional',
+      '',
+      `- [llms-full.txt](${baseUrl}/llms-full.txt) (${formatTokens(fullTokens)}): every skill's description and ` +
+        `file list and every provider's model table in one document`,
+    );
+    return `${lines.join('\n')}\n`;
+  };
+
+  for (const cap of INDEX_DESCRIPTION_CAPS) {
+    const text = render(cap);
+    if (estimateTokens(text) <= maxTokens) return text;
+  }
+  return render(0);
+}
+
+/**
+ * /llms-full.txt: the whole catalog in one document, minus SKILL.md bodies (which
+ * live in the per-skill documents). Sections are added in order while they fit;
+ * any that don't are listed as links at the end.
+ */
+export function renderLlmsFull({ skillsCatalog, definitionsCatalog, baseUrl, maxTokens = LLMS_FULL_MAX_TOKENS }) {
+  const head = [
+    '# LLMSPEC — full catalog',
+    '',
+    summaryLine({ skillsCatalog, definitionsCatalog }),
+    '',
+    `Index: ${baseUrl}/llms.txt`,
+    '',
+  ].join('\n');
+
+  const sections = [
+    { heading: '## Skills', text: '## Skills\n' },
+    ...(skillsCatalog.groups ?? []).flatMap((group) =>
+      (group.skills ?? []).map((skill) => ({
+        link: `- [${skill.name}](${skillMarkdownUrl(baseUrl, group.slug, skill)})`,
+        text: [
+          `### ${skill.name} (${group.name})`,
+          '',
+          oneLine(skill.description),
+          '',
+          `- Markdown with SKILL.md: ${skillMarkdownUrl(baseUrl, group.slug, skill)}`,
+          `- Download: ${baseUrl}${skill.download_url}`,
+          `- Files: ${(skill.files ?? []).map((f) => f.path).join(', ')}`,
+          '',
+        ].join('\n'),
+      })),
+    ),
+    { heading: '## Model definitions', text: `## Model definitions\n\n${CAPABILITY_LEGEND}\n` },
+    ...(definitionsCatalog.providers ?? []).map((provider) => ({
+      link: `- [${provider.name}](${providerMarkdownUrl(baseUrl, provider)})`,
+      text: [
+        `### ${provider.name}`,
+        '',
+        ...providerFacts(provider, baseUrl),
+        '',
+        renderModelTable(provider.models ?? [], Infinity).text,
+        '',
+      ].join('\n'),
+    })),
+  ];
+
+  // Reserve room for listing every section as a link, the worst case.
+  const linksTokens = sections.reduce((acc, s) => acc + (s.link ? estimateTokens(s.link) + 1 : 0), 0);
+  const budget = maxTokens - estimateTokens(head) - linksTokens - 50;
+
+  const parts = [head];
+  const skipped = [];
+  let used = 0;
+  for (const section of sections) {
+    const tokens = estimateTokens(section.text) + 1;
+    if (!section.link || used + tokens <= budget) {
+      parts.push(section.text);
+      used += tokens;
+    } else {
+      skipped.push(section.link);
+    }
+  }
+
+  if (skipped.length > 0) {
+    parts.push(`## Not included\n\nThese didn't fit ~${maxTokens} tokens; each link is its own document.\n\n${skipped.join('\n')}\n`);
+  }
+  return parts.join('\n');
+}
@@ -0,0 +1,165 @@
+/**
+ * Minimal Model Context Protocol server over stdio: newline-delimited JSON-RPC 2.0
+ * on stdin/stdout, logs on stderr.
+ *
+ * Implements what scripts/mcp-server.mjs needs and nothing more: initialize, ping,
+ * tools (list/call) and resources (list/templates/read). No dependencies; tool
+ * arguments are checked against each tool's inputSchema with json-schema.mjs.
+ *
+ * Tools are { name, description, inputSchema, handler(args) }. A handler returns
+ * text (string) or any JSON value (sent as pretty-printed text); a thrown Error
+ * becomes a tool result with isError, so the model sees what went wrong.
+ *
+ * Resources come from { list(), templates, read(uri) }; read returns
+ * { mimeType, text } or undefined for an unknown URI.
+ */
+
+import readline from 'node:readline';
+
+import { validateAgainstSchema } from './json-schema.mjs';
+
+// Newest first. We answer with the client's version when we know it.
+export const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+// MCP: resources/read for a URI the server doesn't have.
+const RESOURCE_NOT_FOUND = -32002;
+
+class RpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+function toolResult(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+  return { content: [{ type: 'text', text }] };
+}
+
+export function createMcpServer({ name, version, instructions, tools = [], resources }) {
+  const toolsByName = new Map(tools.map((tool) => [tool.name, tool]));
+
+  const methods = {
+    initialize(params) {
+      const requested = params?.protocolVersion;
+      return {
+        protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : SUPPORTED_PROTOCOL_VERSIONS[0],
+        capabilities: {
+          tools: { listChanged: false },
+          ...(resources ? { resources: { subscribe: false, listChanged: false } } : {}),
+        },
+        serverInfo: { name, version },
+        ...(instructions ? { instructions } : {}),
+      };
+    },
+
+    ping() {
+      return {};
+    },
+
+    'tools/list'() {
+      return {
+        tools: tools.map(({ name: toolName, description, inputSchema }) => ({ name: toolName, description, inputSchema })),
+      };
+    },
+
+    async 'tools/call'(params) {
+      const tool = toolsByName.get(params?.name);
+      if (!tool) throw new RpcError(INVALID_PARAMS, `Unknown tool: ${params?.name}`);
+
+      const args = params.arguments ?? {};
+      const errors = validateAgainstSchema(tool.inputSchema, args, { maxErrors: 5 });
+      if (errors.length > 0) {
+        return {
+          ...toolResult(`Invalid arguments: ${errors.map((e) => `${e.path || '/'} ${e.message}`).join('; ')}`),
+          isError: true,
+        };
+      }
+
+      try {
+        return toolResult(await tool.handler(args));
+      } catch (err) {
+        return { ...toolResult(err instanceof Error ? err.message : String(err)), isError: true };
+      }
+    },
+
+    async 'resources/list'() {
+      if (!resources) throw new RpcError(METHOD_NOT_FOUND, 'Method not found: resources/list');
+      return { resources: await resources.list() };
+    },
+
+    'resources/templates/list'() {
+      if (!resources) throw new RpcError(METHOD_NOT_FOUND, 'Method not found: resources/templates/list');
+      return { resourceTemplates: resources.templates ?? [] };
+    },
+
+    async 'resources/read'(params) {
+      if (!resources) throw new RpcError(METHOD_NOT_FOUND, 'Method not found: resources/read');
+      const uri = params?.uri;
+      if (typeof uri !== 'string') throw new RpcError(INVALID_PARAMS, 'resources/read needs a uri');
+      const resource = await resources.read(uri);
+      if (!resource) throw new RpcError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`);
+      return { contents: [{ uri, ...resource }] };
+    },
+  };
+
+  async function handleMessage(message) {
+    const isObject = message !== null && typeof message === 'object';
+    if (!isObject || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+      // Responses (to requests we never send) and id-less junk get no reply.
+      const isResponse = isObject && ('result' in message || 'error' in message);
+      if (!isObject || isResponse || !('id' in message)) return undefined;
+      return { jsonrpc: '2.0', id: message.id ?? null, error: { code: INVALID_REQUEST, message: 'Invalid request' } };
+    }
+
+    const isNotification = !('id' in message);
+    const handler = Object.hasOwn(methods, message.method) ? methods[message.method] : undefined;
+
+    if (isNotification) return undefined; // notifications/initialized, notifications/cancelled, …
+
+    if (!handler) {
+      return { jsonrpc: '2.0', id: message.id, error: { code: METHOD_NOT_FOUND, message: `Method not found: ${message.method}` } };
+    }
+
+    try {
+      return { jsonrpc: '2.0', id: message.id, result: await handler(message.params) };
+    } catch (err) {
+      const code = err instanceof RpcError ? err.code : INTERNAL_ERROR;
+      return { jsonrpc: '2.0', id: message.id, error: { code, message: err instanceof Error ? err.message : String(err) } };
+    }
+  }
+
+  async function handleLine(line) {
+    if (!line.trim()) return undefined;
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      return { jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: 'Parse error' } };
+    }
+    if (Array.isArray(message)) {
+      // JSON-RPC batches (allowed by 2025-03-26).
+      const replies = (await Promise.all(message.map(handleMessage))).filter(Boolean);
+      return replies.length > 0 ? replies : undefined;
+    }
+    return handleMessage(message);
+  }
+
+  /**
+   * Serves until `input` ends. Requests are answered in arrival order.
+   */
+  async function listen({ input = process.stdin, output = process.stdout } = {}) {
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    for await (const line of lines) {
+      const reply = await handleLine(line);
+      if (reply) output.write(`${JSON.stringify(reply)}\n`);
+    }
+  }
+
+  return { handleLine, listen };
+}
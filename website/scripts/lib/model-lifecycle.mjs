@@ -0,0 +1,91 @@
+/**
+ * Model lifecycle helpers: countdowns to deprecation/retirement and the
+ * "retiring soon" list published as /definitions/retiring.json.
+ *
+ * Dates are YYYY-MM-DD (see LIFECYCLE_KEYS in definitions-source.mjs) and are read
+ * as UTC days, so a countdown is the same for everyone regardless of time zone.
+ * Used by build-definitions.mjs and by the site (ModelCard, the changes page and
+ * the /definitions/ cards), so the build and the pages count days the same way.
+ * build-definitions.mjs also publishes it as /definitions/model-lifecycle.mjs.
+ */
+
+export const DEFAULT_RETIRING_WINDOW_DAYS = 90;
+
+// At or under this many days a countdown is shown as urgent.
+export const URGENT_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Whole days from today (UTC) until `isoDate`; negative once it has passed. */
+export function daysUntil(isoDate, now = new Date()) {
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  return Math.round((Date.parse(`${isoDate}T00:00:00Z`) - today) / DAY_MS);
+}
+
+function inDays(days) {
+  if (days === 0) return 'today';
+  if (days === 1) return 'tomorrow';
+  return `in ${days} days`;
+}
+
+/**
+ * The one lifecycle event worth showing on a card, or undefined. Retirement wins
+ * over deprecation because it is the date something breaks.
+ *
+ * Returns { kind: 'retirement' | 'deprecation', date, days, label, tone } where tone
+ * is 'past', 'urgent' (≤ URGENT_DAYS) or 'upcoming'.
+ */
+export function describeLifecycle(lifecycle, now = new Date()) {
+  const kind = lifecycle?.retirement_date ? 'retirement' : lifecycle?.deprecation_date ? 'deprecation' : undefined;
+  if (!kind) return undefined;
+
+  const date = kind === 'retirement' ? lifecycle.retirement_date : lifecycle.deprecation_date;
+  const days = daysUntil(date, now);
+  const verb = kind === 'retirement' ? 'Retires' : 'Deprecated';
+
+  let label;
+  if (days < 0) label = kind === 'retirement' ? `Retired ${date}` : `Deprecated since ${date}`;
+  else label = `${verb} ${inDays(days)}`;
+
+  const tone = days < 0 ? 'past' : days <= URGENT_DAYS ? 'urgent' : 'upcoming';
+  return { kind, date, days, label, tone };
+}
+
+/**
+ * Models whose retirement date is between `now` and `now + windowDays`, soonest
+ * first: [{ provider, provider_name, model_id, name, retirement_date, days_left,
+ * deprecation_date?, successor?, successor_name? }].
+ */
+export function buildRetiringModels(providers, { now = new Date(), windowDays = DEFAULT_RETIRING_WINDOW_DAYS } = {}) {
+  const out = [];
+  for (const provider of providers ?? []) {
+    const namesById = new Map((provider.models ?? []).map((m) => [m.id, m.name]));
+    for (const model of provider.models ?? []) {
+      const lifecycle = model.lifecycle;
+      if (!lifecycle?.retirement_date) continue;
+
+      const daysLeft = daysUntil(lifecycle.retirement_date, now);
+      if (daysLeft < 0 || daysLeft > windowDays) continue;
+
+      out.push({
+        provider: provider.id,
+        provider_name: provider.name,
+        model_id: model.id,
+        name: model.name,
+        retirement_date: lifecycle.retirement_date,
+        days_left: daysLeft,
+        ...(lifecycle.deprecation_date ? { deprecation_date: lifecycle.deprecation_date } : {}),
+        ...(lifecycle.successor
+          ? { successor: lifecycle.successor, successor_name: namesById.get(lifecycle.successor) ?? lifecycle.successor }
+          : {}),
+      });
+    }
+  }
+
+  return out.sort(
+    (a, b) =>
+      a.retirement_date.localeCompare(b.retirement_date) ||
+      a.provider.localeCompare(b.provider) ||
+      a.model_id.localeCompare(b.model_id),
+  );
+}
@@ -0,0 +1,91 @@
+/**
+ * Renders /definitions/providers.ts: the public provider configs as a TypeScript
+ * module, so client code can bootstrap SDKs from typed data and reference models by
+ * compile-time-checked ids instead of string literals.
+ *
+ *   import { providers, type ModelRef } from './providers';
+ *   const key = process.env[providers.anthropic.env[0]];
+ *   const model: ModelRef = 'anthropic/claude-sonnet-4-5'; // typos fail to compile
+ *
+ * The module is self-contained (no imports) and needs TypeScript 4.9+ for `satisfies`.
+ */
+
+function literal(value) {
+  // JSON string/array/number literals are valid TypeScript.
+  return JSON.stringify(value);
+}
+
+function renderProvider(provider) {
+  const lines = [
+    `  ${literal(provider.id)}: {`,
+    `    id: ${literal(provider.id)},`,
+    `    name: ${literal(provider.name)},`,
+    `    env: ${literal(provider.env ?? [])},`,
+    `    npm: ${literal(provider.npm)},`,
+    `    doc: ${literal(provider.doc)},`,
+    ...(provider.api ? [`    api: ${literal(provider.api)},`] : []),
+    '    models: [',
+    ...provider.models.map((model) => `      ${literal(model.id)},`),
+    '    ],',
+    '  },',
+  ];
+  return lines.join('\n');
+}
+
+/**
+ * `manifest` is the public definitions manifest. Providers and models keep manifest
+ * order, so the output only changes when the catalog does (plus the header date).
+ */
+export function renderProvidersModule(manifest) {
+  return `/**
+ * LLMSPEC provider configs and model ids.
+ *
+ * Generated by build-definitions.mjs from ${manifest.base_url}/definitions/definitions.json
+ * (${manifest.generated_at}). Do not edit; download a fresh copy instead.
+ */
+
+export interface ProviderConfig {
+  /** Provider id, as used in definitions.json and model refs. */
+  readonly id: string;
+  readonly name: string;
+  /** Environment variable names for the API key (and any other required settings). */
+  readonly env: readonly string[];
+  /** AI SDK provider package. */
+  readonly npm: string;
+  readonly doc: string;
+  /** API base URL, when the SDK package needs one. */
+  readonly api?: string;
+  readonly models: readonly string[];
+}
+
+export const providers = {
+${manifest.providers.map(renderProvider).join('\n')}
+} as const satisfies Record<string, ProviderConfig>;
+
+export type Providers = typeof providers;
+
+export type ProviderId = keyof Providers;
+
+/** Model ids of one provider, or of every provider when \`P\` is omitted. */
+export type ModelId<P extends ProviderId = ProviderId> = Providers[P]['models'][number];
+
+/** "<provider>/<model>", the form used by the model pages and the llmspec CLI. */
+export type ModelRef = { [P in ProviderId]: \`\${P}/\${ModelId<P>}\` }[ProviderId];
+
+export const providerIds = Object.keys(providers) as ProviderId[];
+
+export function isProviderId(value: string): value is ProviderId {
+  return Object.prototype.hasOwnProperty.call(providers, value);
+}
+
+export function isModelRef(value: string): value is ModelRef {
+  const slash = value.indexOf('/');
+  if (slash <= 0) return false;
+  const providerId = value.slice(0, slash);
+  return (
+    isProviderId(providerId) &&
+    (providers[providerId].models as readonly string[]).includes(value.slice(slash + 1))
+  );
+}
+`;
+}
@@ -0,0 +1,117 @@
+/**
+ * Rehype plugin for Markdown rendered from skills/ (the `skillDocs` collection).
+ *
+ * SKILL.md and its references link to each other with paths relative to the skill
+ * folder ("references/forms.md", "../scripts/pack.py"). On the site those files live
+ * under /skills/<group>/<skill>/files/, so relative links are rewritten to the page
+ * that shows the target:
+ *
+ * - packaged file      → /skills/<group>/<skill>/files/<path>/ (fragment kept)
+ * - packaged directory → the skill page's file tree (#files)
+ * - anything else      → left alone (the skill linter reports it)
+ *
+ * "Packaged" means listed in src/data/skills-catalog.json, i.e. what is in the ZIP.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+const SKILLS_ROOT = path.resolve(process.cwd(), '..', 'skills');
+const CATALOG_PATH = path.resolve(process.cwd(), 'src', 'data', 'skills-catalog.json');
+
+let cachedIndex = null;
+let cachedMtimeMs = -1;
+
+function loadSkillIndex() {
+  // source_dir → { base, files }. Re-read when build-skills rewrites the catalog (dev).
+  let stat;
+  try {
+    stat = fs.statSync(CATALOG_PATH);
+  } catch {
+    return new Map();
+  }
+  if (cachedIndex && stat.mtimeMs === cachedMtimeMs) return cachedIndex;
+
+  const catalog = JSON.parse(fs.readFileSync(CATALOG_PATH, 'utf8'));
+  const index = new Map();
+  for (const group of catalog.groups ?? []) {
+    for (const skill of group.skills ?? []) {
+      if (!skill.source_dir) continue;
+      index.set(skill.source_dir, {
+        base: `/skills/${group.slug}/${skill.folder}/`,
+        files: new Set((skill.files ?? []).map((f) => f.path)),
+      });
+    }
+  }
+
+  cachedIndex = index;
+  cachedMtimeMs = stat.mtimeMs;
+  return index;
+}
+
+function findSkill(index, relFromRoot) {
+  // Longest source_dir that contains the file ("Office/pptx/ooxml.md" → "Office/pptx").
+  const parts = relFromRoot.split('/');
+  for (let i = parts.length - 1; i > 0; i -= 1) {
+    const dir = parts.slice(0, i).join('/');
+    const skill = index.get(dir);
+    if (skill) return { dir, skill };
+  }
+  return null;
+}
+
+function isPackagedDirectory(files, relPath) {
+  const prefix = `${relPath}/`;
+  for (const f of files) if (f.startsWith(prefix)) return true;
+  return false;
+}
+
+function resolveHref(href, docRel, skill) {
+  if (!href || href.startsWith('#') || href.startsWith('/') || /^[a-z][a-z0-9+.-]*:/i.test(href)) return null;
+
+  const hashIndex = href.search(/[#?]/);
+  const rawPath = hashIndex === -1 ? href : href.slice(0, hashIndex);
+  const hash = hashIndex === -1 ? '' : href.slice(hashIndex).replace(/^\?[^#]*/, '');
+
+  let target;
+  try {
+    target = decodeURIComponent(rawPath);
+  } catch {
+    return null;
+  }
+
+  const resolved = path.posix.normalize(path.posix.join(path.posix.dirname(docRel), target)).replace(/\/+$/, '');
+  if (resolved === '..' || resolved.startsWith('../')) return null;
+
+  if (resolved === '.' || resolved === '') return `${skill.base}${hash}`;
+  if (skill.files.has(resolved)) {
+    const encoded = resolved.split('/').map(encodeURIComponent).join('/');
+    return `${skill.base}files/${encoded}/${hash}`;
+  }
+  if (isPackagedDirectory(skill.files, resolved)) return `${skill.base}#files`;
+  return null;
+}
+
+function visitLinks(node, fn) {
+  if (node.type === 'element' && node.tagName === 'a') fn(node);
+  for (const child of node.children ?? []) visitLinks(child, fn);
+}
+
+export default function rehypeSkillLinks() {
+  return (tree, file) => {
+    const docAbs = file?.path ? path.resolve(file.path) : null;
+    if (!docAbs || !docAbs.startsWith(`${SKILLS_ROOT}${path.sep}`)) return;
+
+    const relFromRoot = path.relative(SKILLS_ROOT, docAbs).split(path.sep).join('/');
+    const found = findSkill(loadSkillIndex(), relFromRoot);
+    if (!found) return;
+
+    const docRel = relFromRoot.slice(found.dir.length + 1);
+    visitLinks(tree, (node) => {
+      const href = node.properties?.href;
+      if (typeof href !== 'string') return;
+      const rewritten = resolveHref(href, docRel, found.skill);
+      if (rewritten) node.properties.href = rewritten;
+    });
+  };
+}
@@ -0,0 +1,118 @@
+/**
+ * JSON Schema → TypeScript declarations.
+ *
+ * build-definitions.mjs and build-skills.mjs render their manifest schemas with it,
+ * so the published types can't drift from the schemas the manifests are checked
+ * against. Covers the keywords those schemas use: type (including type arrays),
+ * properties/required, additionalProperties, items, enum, const, $ref into $defs,
+ * oneOf/anyOf and description (emitted as doc comments). Validation-only keywords
+ * (pattern, minimum, uniqueItems, format, …) have no TypeScript equivalent and are
+ * ignored.
+ *
+ * Each $def becomes an exported interface (or a type alias when it isn't an
+ * object) named in PascalCase: `changed_model` → `ChangedModel`.
+ */
+
+const IDENTIFIER_RE = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+export function pascalCase(name) {
+  return String(name)
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join('');
+}
+
+function propertyKey(key) {
+  return IDENTIFIER_RE.test(key) ? key : JSON.stringify(key);
+}
+
+function docComment(text, indent) {
+  if (!text) return '';
+  const lines = String(text).replace(/\*\//g, '*\\/').split('\n');
+  if (lines.length === 1) return `${indent}/** ${lines[0]} */\n`;
+  return `${indent}/**\n${lines.map((line) => `${indent} * ${line}`.trimEnd()).join('\n')}\n${indent} */\n`;
+}
+
+function union(types) {
+  const unique = [...new Set(types)];
+  return unique.length === 0 ? 'never' : unique.join(' | ');
+}
+
+function refName(ref) {
+  const match = /^#\/\$defs\/(.+)$/.exec(ref);
+  if (!match) throw new Error(`Unsupported $ref (only #/$defs/… is supported): ${ref}`);
+  return pascalCase(match[1]);
+}
+
+function renderObject(node, indent) {
+  const inner = `${indent}  `;
+  const required = new Set(node.required ?? []);
+  const members = Object.entries(node.properties ?? {}).map(([key, prop]) => {
+    const optional = required.has(key) ? '' : '?';
+    return `${docComment(prop.description, inner)}${inner}${propertyKey(key)}${optional}: ${renderType(prop, inner)};\n`;
+  });
+
+  const extra = node.additionalProperties;
+  if (extra && typeof extra === 'object') {
+    members.push(`${inner}[key: string]: ${renderType(extra, inner)};\n`);
+  } else if (extra === true || (extra === undefined && !node.properties)) {
+    members.push(`${inner}[key: string]: unknown;\n`);
+  }
+
+  return `{\n${members.join('')}${indent}}`;
+}
+
+/** TypeScript type expression for one schema node. */
+export function renderType(node, indent = '') {
+  if (node === true || node === undefined) return 'unknown';
+  if (node === false) return 'never';
+  if (node.$ref) return refName(node.$ref);
+  if ('const' in node) return JSON.stringify(node.const);
+  if (Array.isArray(node.enum)) return union(node.enum.map((v) => JSON.stringify(v)));
+  if (Array.isArray(node.oneOf) || Array.isArray(node.anyOf)) {
+    return union((node.oneOf ?? node.anyOf).map((branch) => renderType(branch, indent)));
+  }
+
+  if (Array.isArray(node.type)) {
+    return union(node.type.map((type) => renderType({ ...node, type }, indent)));
+  }
+
+  switch (node.type) {
+    case 'string':
+      return 'string';
+    case 'integer':
+    case 'number':
+      return 'number';
+    case 'boolean':
+      return 'boolean';
+    case 'null':
+      return 'null';
+    case 'array': {
+      const item = renderType(node.items, indent);
+      return /[|&{]/.test(item) ? `Array<${item}>` : `${item}[]`;
+    }
+    case 'object':
+      return renderObject(node, indent);
+    default:
+      return 'unknown';
+  }
+}
+
+function renderDeclaration(name, node) {
+  const doc = docComment(node.description ?? node.title, '');
+  if (node.type === 'object' && !node.$ref) return `${doc}export interface ${name} ${renderObject(node, '')}\n`;
+  return `${doc}export type ${name} = ${renderType(node, '')};\n`;
+}
+
+/**
+ * Declarations for a whole schema: the root as `rootName`, then every $def.
+ * `header` becomes the file's leading comment.
+ */
+export function renderSchemaDeclarations(schema, { rootName, header }) {
+  const declarations = [
+    renderDeclaration(rootName, schema),
+    ...Object.entries(schema.$defs ?? {}).map(([name, node]) => renderDeclaration(pascalCase(name), node)),
+  ];
+  return `${docComment(header, '')}\n${declarations.join('\n')}`;
+}
@@ -0,0 +1,127 @@
+/**
+ * Skill bundles: several skills in one ZIP.
+ *
+ * build-skills.mjs packages three kinds, all under /skills/downloads/bundles/:
+ *
+ * - `catalog`: every skill (`all.zip`)
+ * - `group`:   every skill in one group (`<group-slug>.zip`)
+ * - `curated`: skills and groups listed in skills/bundles.json
+ *
+ * Bundle ZIPs use the same layout as single-skill ZIPs (one `<folder>/` per skill),
+ * so unzipping a bundle into a skills directory installs every skill in it.
+ */
+
+export const CATALOG_BUNDLE_ID = 'all';
+
+const BUNDLE_ID_PATTERN = '^[a-z0-9][a-z0-9-]*$';
+
+export const BUNDLE_CONFIG_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  title: 'LLMSpec curated skill bundles',
+  type: 'object',
+  additionalProperties: false,
+  required: ['bundles'],
+  properties: {
+    $schema: { type: 'string' },
+    bundles: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['id', 'name'],
+        properties: {
+          id: { type: 'string', pattern: BUNDLE_ID_PATTERN, description: 'ZIP name and manifest id.' },
+          name: { type: 'string', minLength: 1 },
+          description: { type: 'string' },
+          groups: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Group slugs; every skill in them is included.',
+          },
+          skills: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Skill folder names.',
+          },
+        },
+      },
+    },
+  },
+};
+
+function sortCodeUnits(values) {
+  return [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+}
+
+/**
+ * Resolves the bundles to package.
+ *
+ * - `groups`: [{ slug, name, skills: [folder] }] in manifest order
+ * - `config`: parsed skills/bundles.json (already schema-checked), or undefined
+ *
+ * Returns `{ bundles, warnings }`. Each bundle is `{ id, name, kind, description, skills }`
+ * with `skills` as sorted folder names. Curated bundles that reference unknown groups
+ * or skills keep the members that do resolve; ids that clash with a built-in bundle
+ * and bundles that resolve to nothing are dropped with a warning.
+ */
+export function resolveBundles({ groups, config }) {
+  const warnings = [];
+  const allSkills = groups.flatMap((g) => g.skills);
+  const known = new Set(allSkills);
+  const bySlug = new Map(groups.map((g) => [g.slug, g]));
+
+  const bundles = [
+    {
+      id: CATALOG_BUNDLE_ID,
+      name: 'All skills',
+      kind: 'catalog',
+      description: `Every skill in the catalog (${allSkills.length}).`,
+      skills: sortCodeUnits(allSkills),
+    },
+    ...groups
+      .filter((g) => g.skills.length > 0)
+      .map((g) => ({
+        id: g.slug,
+        name: g.name,
+        kind: 'group',
+        description: `Every skill in ${g.name} (${g.skills.length}).`,
+        skills: sortCodeUnits(g.skills),
+      })),
+  ];
+
+  const taken = new Set(bundles.map((b) => b.id));
+
+  for (const entry of config?.bundles ?? []) {
+    if (taken.has(entry.id)) {
+      warnings.push(`bundle "${entry.id}" clashes with an existing bundle id; skipped`);
+      continue;
+    }
+
+    const members = new Set();
+    for (const slug of entry.groups ?? []) {
+      const group = bySlug.get(slug);
+      if (!group) warnings.push(`bundle "${entry.id}": unknown group "${slug}"`);
+      else group.skills.forEach((s) => members.add(s));
+    }
+    for (const folder of entry.skills ?? []) {
+      if (!known.has(folder)) warnings.push(`bundle "${entry.id}": unknown skill "${folder}"`);
+      else members.add(folder);
+    }
+
+    if (members.size === 0) {
+      warnings.push(`bundle "${entry.id}" contains no skills; skipped`);
+      continue;
+    }
+
+    taken.add(entry.id);
+    bundles.push({
+      id: entry.id,
+      name: entry.name,
+      kind: 'curated',
+      description: entry.description ?? '',
+      skills: sortCodeUnits(members),
+    });
+  }
+
+  return { bundles, warnings };
+}
@@ -0,0 +1,155 @@
+/**
+ * SKILL.md lint rules.
+ *
+ * Runs against the exact file set that goes into a skill's ZIP (after
+ * shouldExcludePath), so "the link works on my checkout" can't hide a target that
+ * never ships. build-skills.mjs runs this before packaging.
+ */
+
+import path from 'node:path';
+
+export const SKILL_LINT_RULES = {
+  'frontmatter': 'SKILL.md frontmatter is missing or cannot be parsed',
+  'name-mismatch': 'Frontmatter name must match the skill folder name',
+  'description-length': 'Description must be present and within length limits',
+  'description-trigger': 'Description should say when to use the skill ("Use when …")',
+  'broken-link': 'Relative link target is not part of the packaged skill',
+  'missing-reference': 'Referenced scripts/ or references/ path is not part of the packaged skill',
+  'placeholder-link': 'Link target is a placeholder, not a real URL or path',
+};
+
+// Agent Skills caps descriptions at 1024 chars; under ~40 they rarely say enough for a
+// model to decide when to load the skill.
+export const DESCRIPTION_MIN_CHARS = 40;
+export const DESCRIPTION_MAX_CHARS = 1024;
+
+const TRIGGER_RE =
+  /\buse (this skill )?when\b|\bwhen (the user|you|[a-z]+) (needs?|asks?|wants?)\b|\btrigger(ed)? (with|when|on|by)\b/i;
+
+// [text](target) — target up to the first space (titles are ignored) or ')'.
+const LINK_RE = /\[[^\]\n]*\]\(\s*<?([^)\s>]*)>?(?:\s+["'][^)]*["'])?\s*\)/g;
+
+// Bare mentions like `scripts/check_environment.py` or `ooxml/scripts/pack.py`. The
+// lookbehind keeps "Transcripts/…" and URL path segments out.
+const REFERENCE_RE = /(?<![\w/.-])((?:\.\/)?(?:[\w.-]+\/)*(?:scripts|references)\/[\w./-]*[\w/])/g;
+
+const PLACEHOLDER_TARGETS = new Set(['url', 'link', 'todo', 'tbd', 'xxx', '#', '...', '…']);
+
+function isPlaceholderTarget(target) {
+  const lower = target.toLowerCase();
+  if (PLACEHOLDER_TARGETS.has(lower)) return true;
+  if (/[[\]{}<>]/.test(target)) return true; // [YourCompany], {name}, <path>
+  if (/(^|\/)path\/to(\/|$)/.test(lower)) return true;
+  if (/^(file|computer):/.test(lower)) return true;
+  if (/^https?:\/\/(www\.)?example\.(com|org)/.test(lower)) return true;
+  return false;
+}
+
+function lineOf(text, index) {
+  let line = 1;
+  for (let i = 0; i < index; i += 1) if (text.charCodeAt(i) === 10) line += 1;
+  return line;
+}
+
+/**
+ * Is `relPath` (posix, relative to the skill root) a packaged file, or a directory that
+ * contains one?
+ */
+function isPackaged(relPath, packagedFiles) {
+  const clean = relPath.replace(/\/+$/, '');
+  if (clean === '' || clean === '.') return true;
+  if (packagedFiles.has(clean)) return true;
+  const prefix = `${clean}/`;
+  for (const f of packagedFiles) if (f.startsWith(prefix)) return true;
+  return false;
+}
+
+function resolveInSkill(target) {
+  // undefined when the path climbs out of the skill folder (it can't be in the ZIP).
+  const normalized = path.posix.normalize(target);
+  if (normalized === '..' || normalized.startsWith('../') || path.posix.isAbsolute(normalized)) return undefined;
+  return normalized;
+}
+
+/**
+ * Lints one skill.
+ *
+ * - `folderName`: skill directory name (the ZIP/installer identity)
+ * - `frontmatter`: parsed YAML data, or undefined if parsing failed
+ * - `body`: SKILL.md content (frontmatter included is fine; line numbers refer to it)
+ * - `files`: packaged paths relative to the skill root (posix)
+ *
+ * Returns [{ severity, rule, line?, message }].
+ */
+export function lintSkill({ folderName, frontmatter, body, files }) {
+  const issues = [];
+  const add = (severity, rule, message, line) =>
+    issues.push({ severity, rule, ...(line ? { line } : {}), message });
+
+  const packaged = new Set(files);
+
+  if (!frontmatter || typeof frontmatter !== 'object' || Object.keys(frontmatter).length === 0) {
+    add('error', 'frontmatter', 'no YAML frontmatter found');
+  } else {
+    const name = typeof frontmatter.name === 'string' ? frontmatter.name.trim() : '';
+    if (name !== folderName) {
+      add('error', 'name-mismatch', `name is ${JSON.stringify(name || null)}, folder is "${folderName}"`);
+    }
+
+    const description = typeof frontmatter.description === 'string' ? frontmatter.description.trim() : '';
+    if (!description) {
+      add('error', 'description-length', 'description is missing or empty');
+    } else if (description.length > DESCRIPTION_MAX_CHARS) {
+      add('error', 'description-length', `description is ${description.length} chars (max ${DESCRIPTION_MAX_CHARS})`);
+    } else if (description.length < DESCRIPTION_MIN_CHARS) {
+      add('warning', 'description-length', `description is ${description.length} chars (min ${DESCRIPTION_MIN_CHARS})`);
+    }
+
+    if (description && !TRIGGER_RE.test(description)) {
+      add('warning', 'description-trigger', 'description does not say when to use the skill ("Use when …")');
+    }
+  }
+
+  const text = body ?? '';
+  const reported = new Set();
+
+  for (const match of text.matchAll(LINK_RE)) {
+    const rawTarget = match[1];
+    const line = lineOf(text, match.index);
+
+    if (!rawTarget || isPlaceholderTarget(rawTarget)) {
+      add('warning', 'placeholder-link', `link target ${JSON.stringify(rawTarget)} is a placeholder`, line);
+      continue;
+    }
+
+    // External URLs, mailto:, in-page anchors: not ours to check.
+    if (/^[a-z][a-z0-9+.-]*:/i.test(rawTarget) || rawTarget.startsWith('#')) continue;
+
+    let target = rawTarget.replace(/[#?].*$/, '');
+    try {
+      target = decodeURIComponent(target);
+    } catch {
+      // keep as-is; a malformed escape will just fail the lookup below
+    }
+
+    const resolved = resolveInSkill(target);
+    if (resolved === undefined) {
+      add('error', 'broken-link', `link "${rawTarget}" points outside the skill folder`, line);
+    } else if (!isPackaged(resolved, packaged)) {
+      add('error', 'broken-link', `link "${rawTarget}" → ${resolved} is not in the package`, line);
+    }
+    reported.add(resolved);
+  }
+
+  for (const match of text.matchAll(REFERENCE_RE)) {
+    const resolved = resolveInSkill(match[1]);
+    if (resolved === undefined || reported.has(resolved)) continue;
+    reported.add(resolved);
+
+    if (!isPackaged(resolved, packaged)) {
+      add('error', 'missing-reference', `${match[1]} is not in the package`, lineOf(text, match.index));
+    }
+  }
+
+  return issues;
+}
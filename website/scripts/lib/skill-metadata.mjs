@@ -0,0 +1,204 @@
+/**
+ * Skill metadata for skills.json: license, version, dependencies, script languages,
+ * tags, author, compatibility.
+ *
+ * Sources, in order of precedence: SKILL.md frontmatter (top-level keys, then the
+ * Agent Skills `metadata:` map), then files in the package (LICENSE*, requirements*.txt,
+ * package.json, script extensions). Only packaged files are considered, so the
+ * manifest describes what the ZIP actually contains.
+ */
+
+import * as fsp from 'node:fs/promises';
+import path from 'node:path';
+
+// semver.org 2.0.0, without the optional leading "v".
+export const SEMVER_RE =
+  /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\+([0-9a-zA-Z-]+(?:\.[0-9a-zA-Z-]+)*))?$/;
+
+// Ids we recognise when written verbatim in frontmatter (case-insensitive).
+const KNOWN_SPDX_IDS = [
+  'Apache-2.0',
+  'MIT',
+  'BSD-2-Clause',
+  'BSD-3-Clause',
+  'ISC',
+  'MPL-2.0',
+  'GPL-2.0-only',
+  'GPL-3.0-only',
+  'LGPL-3.0-only',
+  'AGPL-3.0-only',
+  'CC-BY-4.0',
+  'CC0-1.0',
+  'Unlicense',
+];
+
+// First match wins; checked against the first ~2 KB of a LICENSE file.
+const LICENSE_TEXT_PATTERNS = [
+  [/Apache License\s+Version 2\.0/i, 'Apache-2.0'],
+  [/\bMIT License\b|Permission is hereby granted, free of charge/i, 'MIT'],
+  [/BSD 3-Clause|Neither the name of/i, 'BSD-3-Clause'],
+  [/BSD 2-Clause/i, 'BSD-2-Clause'],
+  [/Mozilla Public License,?\s+(Version|v\.?)\s*2\.0/i, 'MPL-2.0'],
+  [/GNU AFFERO GENERAL PUBLIC LICENSE\s+Version 3/i, 'AGPL-3.0-only'],
+  [/GNU LESSER GENERAL PUBLIC LICENSE\s+Version 3/i, 'LGPL-3.0-only'],
+  [/GNU GENERAL PUBLIC LICENSE\s+Version 3/i, 'GPL-3.0-only'],
+  [/GNU GENERAL PUBLIC LICENSE\s+Version 2/i, 'GPL-2.0-only'],
+  [/This is free and unencumbered software released into the public domain/i, 'Unlicense'],
+  [/ISC License/i, 'ISC'],
+];
+
+const LICENSE_FILE_RE = /^(LICENSE|LICENCE|COPYING)(\.(txt|md))?$/i;
+
+const SCRIPT_LANGUAGES = {
+  '.py': 'python',
+  '.js': 'javascript',
+  '.mjs': 'javascript',
+  '.cjs': 'javascript',
+  '.ts': 'typescript',
+  '.sh': 'shell',
+  '.bash': 'shell',
+  '.r': 'r',
+  '.rb': 'ruby',
+  '.go': 'go',
+  '.nf': 'nextflow',
+  '.ps1': 'powershell',
+};
+
+function firstString(...values) {
+  for (const v of values) {
+    if (typeof v === 'string' && v.trim()) return v.trim();
+    if (typeof v === 'number') return String(v);
+  }
+  return null;
+}
+
+function toStringList(value) {
+  // "a, b" | ["a", "b"] → ["a", "b"]
+  if (typeof value === 'string') return value.split(',').map((s) => s.trim()).filter(Boolean);
+  if (Array.isArray(value)) return value.filter((v) => typeof v === 'string' && v.trim()).map((v) => v.trim());
+  return [];
+}
+
+function uniqueSorted(values) {
+  return [...new Set(values)].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+}
+
+function matchKnownSpdx(value) {
+  if (!value) return null;
+  const lower = value.toLowerCase();
+  return KNOWN_SPDX_IDS.find((id) => id.toLowerCase() === lower) ?? null;
+}
+
+function detectSpdxFromText(text) {
+  const head = text.slice(0, 2048);
+  for (const [re, id] of LICENSE_TEXT_PATTERNS) if (re.test(head)) return id;
+  return null;
+}
+
+export function parseRequirementsTxt(text) {
+  // Keeps requirement specifiers as written ("pandas==2.0.3"); drops comments, blank
+  // lines and pip options (-r, -e, --index-url, …).
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.replace(/(^|\s)#.*$/, '').trim())
+    .filter((line) => line && !line.startsWith('-'));
+}
+
+function parsePackageJsonDeps(text) {
+  try {
+    const pkg = JSON.parse(text);
+    return Object.entries(pkg?.dependencies ?? {}).map(([name, range]) => `${name}@${range}`);
+  } catch {
+    return [];
+  }
+}
+
+function frontmatterDependencies(value) {
+  // `dependencies:` may be a list (ecosystem unknown) or a map keyed by ecosystem.
+  const out = { python: [], node: [], other: [] };
+  if (Array.isArray(value) || typeof value === 'string') {
+    out.other.push(...toStringList(value));
+  } else if (value && typeof value === 'object') {
+    for (const [ecosystem, list] of Object.entries(value)) {
+      const key = ecosystem === 'pip' ? 'python' : ecosystem === 'npm' ? 'node' : ecosystem;
+      (out[key] ?? out.other).push(...toStringList(list));
+    }
+  }
+  return out;
+}
+
+/**
+ * Extracts metadata for one skill.
+ *
+ * - `frontmatter`: parsed SKILL.md YAML (may be undefined)
+ * - `files`: packaged files as [{ abs, rel }] (rel is posix, relative to the skill root)
+ *
+ * Returns `{ metadata, warnings }`; warnings are human-readable strings.
+ */
+export async function extractSkillMetadata({ frontmatter, files }) {
+  const fm = frontmatter && typeof frontmatter === 'object' ? frontmatter : {};
+  const extra = fm.metadata && typeof fm.metadata === 'object' ? fm.metadata : {};
+  const warnings = [];
+
+  // --- License
+  const licenseText = firstString(fm.license, extra.license);
+  const licenseFile = files.find((f) => !f.rel.includes('/') && LICENSE_FILE_RE.test(f.rel));
+  let spdx = matchKnownSpdx(licenseText);
+  if (!spdx && licenseFile) {
+    spdx = detectSpdxFromText(await fsp.readFile(licenseFile.abs, 'utf8'));
+  }
+  if (licenseText && /LICENSE/i.test(licenseText) && !licenseFile) {
+    warnings.push(`license refers to a LICENSE file, but none is packaged`);
+  }
+
+  // --- Version
+  let version = firstString(fm.version, extra.version);
+  if (version?.startsWith('v')) version = version.slice(1);
+  if (version && !SEMVER_RE.test(version)) {
+    warnings.push(`version ${JSON.stringify(version)} is not semver; omitted`);
+    version = null;
+  }
+
+  // --- Dependencies
+  const deps = frontmatterDependencies(fm.dependencies ?? extra.dependencies);
+  for (const f of files) {
+    const base = path.posix.basename(f.rel);
+    if (/^requirements([-_.][\w-]+)?\.txt$/i.test(base)) {
+      deps.python.push(...parseRequirementsTxt(await fsp.readFile(f.abs, 'utf8')));
+    } else if (base === 'package.json' && !f.rel.includes('node_modules/')) {
+      deps.node.push(...parsePackageJsonDeps(await fsp.readFile(f.abs, 'utf8')));
+    }
+  }
+
+  // --- Script languages
+  const languages = uniqueSorted(
+    files.map((f) => SCRIPT_LANGUAGES[path.posix.extname(f.rel).toLowerCase()]).filter(Boolean),
+  );
+
+  // --- Tags / author / compatibility
+  const tags = uniqueSorted([...toStringList(fm.tags), ...toStringList(extra.tags)].map((t) => t.toLowerCase()));
+  const authorValue = fm.author ?? extra.author;
+  const author = firstString(authorValue, authorValue?.name);
+  const compatibility = firstString(fm.compatibility, extra.compatibility);
+
+  return {
+    metadata: {
+      license: {
+        spdx,
+        text: licenseText,
+        file: licenseFile?.rel ?? null,
+      },
+      version,
+      dependencies: {
+        python: uniqueSorted(deps.python),
+        node: uniqueSorted(deps.node),
+        other: uniqueSorted(deps.other),
+      },
+      languages,
+      tags,
+      author,
+      compatibility,
+    },
+    warnings,
+  };
+}
@@ -0,0 +1,88 @@
+/**
+ * Full-text search index for the skills page.
+ *
+ * build-skills.mjs writes /skills/search-index.json from the same pass that packages
+ * the ZIPs. The index carries frontmatter (name, description, tags), the facets the
+ * skills page filters on, and SKILL.md as plain text. Matching and highlighting
+ * happen in the browser, so the index stays a plain JSON file any client can use.
+ */
+
+export const SEARCH_INDEX_VERSION = 1;
+
+// Keeps one long SKILL.md from dominating the download; the opening sections are the
+// ones that say what a skill does.
+export const MAX_BODY_CHARS = 20000;
+
+/**
+ * Markdown → searchable plain text. Keeps link text and code (function names and CLI
+ * flags are worth finding), drops markup, images, HTML tags and URLs.
+ */
+export function markdownToPlainText(markdown) {
+  return String(markdown ?? '')
+    .replace(/^```.*$/gm, '') // fence lines; the code inside stays
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1') // images → alt text
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1') // links → text
+    .replace(/<[^>\n]+>/g, ' ') // inline HTML
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+[.)])\s+/gm, '') // headings, quotes, list markers
+    .replace(/^\s*\|?(\s*:?-{3,}:?\s*\|)+\s*:?-*:?\s*$/gm, '') // table separator rows
+    .replace(/[|*_`~]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/** Section headings of a Markdown document, in order, without the leading #s. */
+export function extractHeadings(markdown) {
+  const headings = [];
+  let inFence = false;
+  for (const line of String(markdown ?? '').split(/\r?\n/)) {
+    if (/^\s*```/.test(line)) inFence = !inFence;
+    if (inFence) continue;
+    const match = /^\s{0,3}#{1,6}\s+(.+?)\s*#*\s*$/.exec(line);
+    if (match) headings.push(markdownToPlainText(match[1]));
+  }
+  return headings.filter(Boolean);
+}
+
+function truncateAtWord(text, maxChars) {
+  if (text.length <= maxChars) return text;
+  const cut = text.slice(0, maxChars);
+  const lastSpace = cut.lastIndexOf(' ');
+  return lastSpace > maxChars * 0.8 ? cut.slice(0, lastSpace) : cut;
+}
+
+/**
+ * One index document.
+ *
+ * - `skill`: the internal catalog entry (name, description, group, folder, contents, …)
+ * - `groupName`: the group's display name
+ * - `body`: SKILL.md without its frontmatter
+ */
+export function buildSearchDocument({ skill, groupName, body }) {
+  return {
+    name: skill.name,
+    folder: skill.folder,
+    group: skill.group,
+    group_name: groupName,
+    url: `/skills/${skill.group}/${skill.folder}/`,
+    download_url: skill.download_url,
+    description: skill.description,
+    tags: skill.tags ?? [],
+    license: skill.license?.spdx ?? skill.license?.text ?? null,
+    contents: skill.contents,
+    headings: extractHeadings(body),
+    body: truncateAtWord(markdownToPlainText(body), MAX_BODY_CHARS),
+  };
+}
+
+export function buildSearchIndex(documents, { generatedAt }) {
+  const groups = new Map();
+  for (const doc of documents) groups.set(doc.group, doc.group_name);
+
+  return {
+    version: SEARCH_INDEX_VERSION,
+    generated_at: generatedAt,
+    total_skills: documents.length,
+    groups: [...groups].map(([slug, name]) => ({ slug, name })),
+    skills: documents,
+  };
+}
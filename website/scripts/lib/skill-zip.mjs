@@ -0,0 +1,63 @@
+/**
+ * Deterministic ZIP writer for skill and bundle downloads (build-skills.mjs).
+ *
+ * Same inputs → same bytes: entries are written in the order given, with a fixed
+ * mtime and 0644/0755 modes, and no directory entries. Each file is read and
+ * appended as a buffer, one after the other; archiver's `file()` stats its
+ * entries concurrently, which lets the order (and the sha256) change between
+ * builds.
+ */
+
+import { createWriteStream } from 'node:fs';
+import * as fsp from 'node:fs/promises';
+
+import archiver from 'archiver';
+
+// archiver encodes DOS time from UTC fields, so this is stable across build
+// machine timezones.
+export const ZIP_ENTRY_DATE = new Date('2000-01-01T00:00:00Z');
+const ZIP_FILE_MODE = 0o644;
+const ZIP_EXEC_MODE = 0o755;
+
+function defaultWarn(msg) {
+  console.warn(`\u001b[33m[warn]\u001b[0m ${msg}`);
+}
+
+/**
+ * Writes `entries` ([{ abs, name, executable }]) to `zipOutAbs`, overwriting it.
+ * `label` names the ZIP in archiver warnings.
+ */
+export async function createZip({ entries, label, zipOutAbs, warn = defaultWarn }) {
+  const output = createWriteStream(zipOutAbs);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  const done = new Promise((resolve, reject) => {
+    output.on('close', () => resolve());
+    output.on('error', (err) => reject(err));
+    archive.on('warning', (err) => {
+      // Archiver uses warning for non-fatal things like missing files.
+      warn(`Archiver warning for ${label}: ${err.message}`);
+    });
+    archive.on('error', (err) => reject(err));
+  });
+
+  archive.pipe(output);
+
+  try {
+    for (const f of entries) {
+      archive.append(await fsp.readFile(f.abs), {
+        name: f.name,
+        date: ZIP_ENTRY_DATE,
+        mode: f.executable ? ZIP_EXEC_MODE : ZIP_FILE_MODE,
+      });
+    }
+  } catch (err) {
+    done.catch(() => {}); // the read error below is the one worth reporting
+    archive.abort();
+    output.destroy();
+    throw err;
+  }
+
+  void archive.finalize();
+  await done;
+}
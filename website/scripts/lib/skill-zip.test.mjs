@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+import * as fsp from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+
+import { readZipEntries } from './zip-reader.mjs';
+import { createZip } from './skill-zip.mjs';
+
+describe('createZip', () => {
+  let tmpAbs;
+  let entries;
+
+  before(async () => {
+    tmpAbs = await fsp.mkdtemp(path.join(os.tmpdir(), 'llmspec-skill-zip-'));
+    const skillAbs = path.join(tmpAbs, 'pptx');
+    await fsp.mkdir(path.join(skillAbs, 'ooxml', 'schemas'), { recursive: true });
+
+    // Files of very different sizes, so concurrent stats would finish out of order.
+    const rels = ['SKILL.md', 'scripts.sh'];
+    for (let i = 0; i < 40; i += 1) rels.push(`ooxml/schemas/shared-${String(i).padStart(2, '0')}.xsd`);
+    entries = [];
+    for (const [i, rel] of rels.sort().entries()) {
+      const abs = path.join(skillAbs, rel);
+      await fsp.writeFile(abs, `${rel}\n`.repeat(1 + ((i * 7919) % 4000)));
+      entries.push({ abs, name: `pptx/${rel}`, executable: rel.endsWith('.sh') });
+    }
+  });
+
+  after(async () => {
+    await fsp.rm(tmpAbs, { recursive: true, force: true });
+  });
+
+  it('writes identical bytes when the same skill is packaged twice', async () => {
+    const first = path.join(tmpAbs, 'first.zip');
+    const second = path.join(tmpAbs, 'second.zip');
+    await createZip({ entries, label: 'pptx', zipOutAbs: first });
+    await createZip({ entries, label: 'pptx', zipOutAbs: second });
+
+    assert.ok((await fsp.readFile(first)).equals(await fsp.readFile(second)));
+  });
+
+  it('keeps entries in the given order with normalized modes', async () => {
+    const zipOutAbs = path.join(tmpAbs, 'order.zip');
+    await createZip({ entries, label: 'pptx', zipOutAbs });
+
+    const read = readZipEntries(await fsp.readFile(zipOutAbs));
+    assert.deepEqual(
+      read.map((e) => e.path),
+      entries.map((e) => e.name),
+    );
+    assert.deepEqual(
+      read.filter((e) => e.executable).map((e) => e.path),
+      ['pptx/scripts.sh'],
+    );
+  });
+
+  it('rejects when an entry cannot be read', async () => {
+    await assert.rejects(
+      createZip({
+        entries: [{ abs: path.join(tmpAbs, 'missing.md'), name: 'pptx/missing.md', executable: false }],
+        label: 'pptx',
+        zipOutAbs: path.join(tmpAbs, 'broken.zip'),
+      }),
+      { code: 'ENOENT' },
+    );
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * Installs skills from a published skills.json into a local skills directory.
+ *
+ * Used by `llmspec skills …` (scripts/llmspec.mjs). The source is a site root: either
+ * an http(s) URL (https://www.llmspec.dev) or a local directory laid out like the
+ * site (website/public after a build), which makes the installer work offline.
+ *
+ * Every ZIP is checked against the manifest's `sha256` before it is opened, and
+ * extracted through zip-reader.mjs, which rejects entries that could escape the
+ * target folder. Installed skills are recorded in a lockfile next to them.
+ */
+
+import { createHash } from 'node:crypto';
+import * as fsp from 'node:fs/promises';
+import path from 'node:path';
+
+import { readZipEntries } from './zip-reader.mjs';
+
+export const DEFAULT_SOURCE = 'https://www.llmspec.dev';
+export const DEFAULT_SKILLS_DIR = '.claude/skills';
+export const LOCKFILE_NAME = 'llmspec.lock.json';
+const LOCKFILE_VERSION = 1;
+
+// Folder names come from the manifest; only plain names are ever used as paths.
+const FOLDER_RE = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+function isUrl(value) {
+  return /^https?:\/\//i.test(value);
+}
+
+function sha256(buffer) {
+  return createHash('sha256').update(buffer).digest('hex');
+}
+
+async function pathExists(p) {
+  try {
+    await fsp.access(p);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * A place to read site files from. `sitePath` is root-relative ("/skills/skills.json").
+ */
+export function openSource(location) {
+  if (isUrl(location)) {
+    const root = location.replace(/\/+$/, '');
+    const readBytes = async (sitePath) => {
+      const url = new URL(sitePath, `${root}/`).toString();
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(`Failed to fetch ${url} (${res.status})`);
+      return Buffer.from(await res.arrayBuffer());
+    };
+    return { location: root, readBytes };
+  }
+
+  const rootAbs = path.resolve(process.cwd(), location);
+  const readBytes = async (sitePath) => {
+    const fileAbs = path.resolve(rootAbs, `.${path.posix.normalize(`/${sitePath}`)}`);
+    return await fsp.readFile(fileAbs);
+  };
+  return { location: rootAbs, readBytes };
+}
+
+export function skillFolder(skill) {
+  // The ZIP name is the folder name (build-skills.mjs never uses frontmatter for it).
+  const folder = path.posix.basename(String(skill.download_url ?? '')).replace(/\.zip$/i, '');
+  if (!FOLDER_RE.test(folder)) throw new Error(`Refusing unsafe skill folder name: ${JSON.stringify(folder)}`);
+  return folder;
+}
+
+/**
+ * Loads skills.json and flattens it to [{ folder, group, ...skill }], plus bundles.
+ */
+export async function loadCatalog(source) {
+  const manifest = JSON.parse((await source.readBytes('/skills/skills.json')).toString('utf8'));
+  const skills = (manifest.groups ?? []).flatMap((group) =>
+    (group.skills ?? []).map((skill) => ({ ...skill, folder: skillFolder(skill), group: group.slug })),
+  );
+  return { generatedAt: manifest.generated_at, skills, bundles: manifest.bundles ?? [] };
+}
+
+/**
+ * SKILL.md text by folder from /skills/search-index.json. Optional: an older site or
+ * source without the index just means search covers manifest fields only.
+ */
+export async function loadSearchText(source) {
+  try {
+    const index = JSON.parse((await source.readBytes('/skills/search-index.json')).toString('utf8'));
+    return new Map((index.skills ?? []).map((doc) => [doc.folder, `${(doc.headings ?? []).join(' ')} ${doc.body ?? ''}`]));
+  } catch {
+    return new Map();
+  }
+}
+
+/**
+ * Skills whose folder, name, group, tags, description or SKILL.md text (when
+ * `searchText` has it) contain every term.
+ */
+export function searchSkills(skills, query, searchText = new Map()) {
+  const terms = String(query ?? '').toLowerCase().split(/\s+/).filter(Boolean);
+  return skills.filter((skill) => {
+    const haystack = [
+      skill.folder,
+      skill.name,
+      skill.group,
+      skill.description,
+      ...(skill.tags ?? []),
+      searchText.get(skill.folder) ?? '',
+    ]
+      .join(' ')
+      .toLowerCase();
+    return terms.every((t) => haystack.includes(t));
+  });
+}
+
+export async function readLockfile(dirAbs) {
+  try {
+    const parsed = JSON.parse(await fsp.readFile(path.resolve(dirAbs, LOCKFILE_NAME), 'utf8'));
+    if (parsed?.lockfile_version === LOCKFILE_VERSION && parsed.skills && typeof parsed.skills === 'object') {
+      return parsed;
+    }
+    throw new Error(`Unsupported lockfile version: ${parsed?.lockfile_version}`);
+  } catch (err) {
+    if (err?.code === 'ENOENT') return { lockfile_version: LOCKFILE_VERSION, skills: {} };
+    throw err;
+  }
+}
+
+export async function writeLockfile(dirAbs, lock) {
+  // Sorted keys keep diffs small when the lockfile is committed.
+  const skills = Object.fromEntries(Object.entries(lock.skills).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+  await fsp.mkdir(dirAbs, { recursive: true });
+  await fsp.writeFile(
+    path.resolve(dirAbs, LOCKFILE_NAME),
+    `${JSON.stringify({ lockfile_version: LOCKFILE_VERSION, skills }, null, 2)}\n`,
+    'utf8',
+  );
+}
+
+/**
+ * Downloads, verifies and extracts one skill into `<dirAbs>/<folder>`, replacing any
+ * previous install, and records it in `lock` (the caller writes the lockfile).
+ *
+ * A folder that exists but isn't in the lockfile was put there by someone else; it is
+ * only replaced with `force`.
+ */
+export async function installSkill({ source, skill, dirAbs, lock, force = false }) {
+  const folder = skill.folder;
+  const targetAbs = path.resolve(dirAbs, folder);
+
+  if (!lock.skills[folder] && !force && (await pathExists(targetAbs))) {
+    throw new Error(`${folder}: ${targetAbs} exists and was not installed by llmspec (use --force to replace it)`);
+  }
+  if (!/^[a-f0-9]{64}$/.test(skill.sha256 ?? '')) {
+    throw new Error(`${folder}: the manifest has no sha256 for this skill; refusing to install unverified`);
+  }
+
+  const zip = await source.readBytes(skill.download_url);
+  const actual = sha256(zip);
+  if (actual !== skill.sha256) {
+    throw new Error(`${folder}: sha256 mismatch (manifest ${skill.sha256}, downloaded ${actual})`);
+  }
+
+  // Everything in a skill ZIP lives under "<folder>/"; anything else is rejected. The
+  // reader drops the trailing slash, so the "<folder>/" directory entry reads as "<folder>".
+  const prefix = `${folder}/`;
+  const entries = readZipEntries(zip);
+  for (const entry of entries) {
+    if (entry.isDirectory && entry.path === folder) continue;
+    if (!entry.path.startsWith(prefix)) throw new Error(`${folder}: unexpected ZIP entry outside ${prefix}: ${entry.path}`);
+  }
+
+  // Extract next to the target, then swap, so a failure never leaves a half-written skill.
+  await fsp.mkdir(dirAbs, { recursive: true });
+  const stagingAbs = path.resolve(dirAbs, `.${folder}.llmspec-${process.pid}`);
+  await fsp.rm(stagingAbs, { recursive: true, force: true });
+
+  const files = [];
+  try {
+    for (const entry of entries) {
+      const rel = entry.path.slice(prefix.length);
+      const outAbs = path.resolve(stagingAbs, rel);
+      if (entry.isDirectory) {
+        await fsp.mkdir(outAbs, { recursive: true });
+        continue;
+      }
+      await fsp.mkdir(path.dirname(outAbs), { recursive: true });
+      await fsp.writeFile(outAbs, entry.data, { mode: entry.executable ? 0o755 : 0o644 });
+      files.push(rel);
+    }
+
+    await fsp.rm(targetAbs, { recursive: true, force: true });
+    await fsp.rename(stagingAbs, targetAbs);
+  } catch (err) {
+    await fsp.rm(stagingAbs, { recursive: true, force: true });
+    throw err;
+  }
+
+  lock.skills[folder] = {
+    name: skill.name,
+    group: skill.group,
+    version: skill.version ?? null,
+    sha256: skill.sha256,
+    content_sha256: skill.content_sha256 || null,
+    source: source.location,
+    installed_at: new Date().toISOString(),
+    files: files.sort(),
+  };
+  return lock.skills[folder];
+}
+
+export async function removeSkill({ folder, dirAbs, lock }) {
+  if (!lock.skills[folder]) throw new Error(`${folder} is not installed by llmspec in ${dirAbs}`);
+  if (!FOLDER_RE.test(folder)) throw new Error(`Refusing unsafe skill folder name: ${JSON.stringify(folder)}`);
+  await fsp.rm(path.resolve(dirAbs, folder), { recursive: true, force: true });
+  delete lock.skills[folder];
+}
+
+/**
+ * Compares the lockfile with the catalog. Status per installed skill:
+ * `current`, `outdated` (the published ZIP changed) or `missing` (no longer published).
+ */
+/**
+ * Compares the source hash when both sides have one, so repackaging an unchanged
+ * skill doesn't flag it. Installs from older manifests only have the ZIP sha256.
+ */
+function isOutdated(installed, available) {
+  if (installed.content_sha256 && available.content_sha256) return installed.content_sha256 !== available.content_sha256;
+  return installed.sha256 !== available.sha256;
+}
+
+export function installedStatus(skills, lock) {
+  const byFolder = new Map(skills.map((s) => [s.folder, s]));
+  return Object.entries(lock.skills).map(([folder, installed]) => {
+    const available = byFolder.get(folder);
+    let status = 'current';
+    if (!available) status = 'missing';
+    else if (isOutdated(installed, available)) status = 'outdated';
+    return { folder, status, installed, available: available ?? null };
+  });
+}
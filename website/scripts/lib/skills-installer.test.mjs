@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import * as fsp from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+
+import { installSkill, installedStatus } from './skills-installer.mjs';
+import { makeZip } from './zip-fixture.mjs';
+
+function skillFor(zip) {
+  return {
+    name: 'pdf',
+    folder: 'pdf',
+    group: 'public',
+    download_url: '/skills/downloads/pdf.zip',
+    sha256: createHash('sha256').update(zip).digest('hex'),
+  };
+}
+
+function sourceFor(zip) {
+  return { location: 'test', readBytes: async () => zip };
+}
+
+describe('installSkill', () => {
+  let dirAbs;
+  before(async () => {
+    dirAbs = await fsp.mkdtemp(path.join(os.tmpdir(), 'llmspec-skills-'));
+  });
+  after(async () => {
+    await fsp.rm(dirAbs, { recursive: true, force: true });
+  });
+
+  it('accepts the "<folder>/" directory entry', async () => {
+    const zip = makeZip([{ name: 'pdf/' }, { name: 'pdf/SKILL.md', data: '# PDF\n' }]);
+    const lock = { skills: {} };
+    const record = await installSkill({ source: sourceFor(zip), skill: skillFor(zip), dirAbs, lock });
+
+    assert.deepEqual(record.files, ['SKILL.md']);
+    assert.equal(await fsp.readFile(path.join(dirAbs, 'pdf', 'SKILL.md'), 'utf8'), '# PDF\n');
+  });
+
+  it('rejects entries outside the skill folder', async () => {
+    const zip = makeZip([{ name: 'pdf/SKILL.md', data: 'ok' }, { name: 'other/SKILL.md', data: 'no' }]);
+    await assert.rejects(
+      installSkill({ source: sourceFor(zip), skill: skillFor(zip), dirAbs, lock: { skills: {} }, force: true }),
+      { message: /unexpected ZIP entry outside pdf\// },
+    );
+  });
+
+  it('rejects a ZIP whose sha256 does not match the manifest', async () => {
+    const zip = makeZip([{ name: 'pdf/SKILL.md', data: 'ok' }]);
+    const skill = { ...skillFor(zip), sha256: '0'.repeat(64) };
+    await assert.rejects(installSkill({ source: sourceFor(zip), skill, dirAbs, lock: { skills: {} }, force: true }), {
+      message: /sha256 mismatch/,
+    });
+  });
+});
+
+describe('installedStatus', () => {
+  const installed = { sha256: 'a'.repeat(64), content_sha256: 'c'.repeat(64) };
+
+  it('ignores a repackaged ZIP when the skill source is unchanged', () => {
+    const skills = [{ folder: 'pdf', sha256: 'b'.repeat(64), content_sha256: 'c'.repeat(64) }];
+    assert.equal(installedStatus(skills, { skills: { pdf: installed } })[0].status, 'current');
+  });
+
+  it('flags a changed source as outdated', () => {
+    const skills = [{ folder: 'pdf', sha256: 'a'.repeat(64), content_sha256: 'd'.repeat(64) }];
+    assert.equal(installedStatus(skills, { skills: { pdf: installed } })[0].status, 'outdated');
+  });
+
+  it('falls back to the ZIP sha256 for installs recorded without a source hash', () => {
+    const skills = [{ folder: 'pdf', sha256: 'b'.repeat(64), content_sha256: 'c'.repeat(64) }];
+    const lock = { skills: { pdf: { sha256: 'a'.repeat(64), content_sha256: null } } };
+    assert.equal(installedStatus(skills, lock)[0].status, 'outdated');
+  });
+
+  it('reports skills that are no longer published as missing', () => {
+    assert.equal(installedStatus([], { skills: { pdf: installed } })[0].status, 'missing');
+  });
+});
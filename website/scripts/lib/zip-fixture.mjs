@@ -0,0 +1,61 @@
+/**
+ * Builds small ZIP archives for the tests, including ones no well-behaved writer
+ * produces (traversal names, symlinks), so the rejection paths in zip-reader.mjs
+ * can be exercised. Entries are stored uncompressed.
+ */
+
+import { crc32 } from './zip-reader.mjs';
+
+const S_IFREG = 0o100000;
+const S_IFDIR = 0o040000;
+
+/**
+ * entries: [{ name, data?, mode? }]. `data` is a string or Buffer; `mode` is the
+ * Unix mode written into the external attributes (defaults to a 0644 file, or a
+ * 0755 directory for names ending in "/").
+ */
+export function makeZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.from(entry.data ?? '');
+    const mode = entry.mode ?? (entry.name.endsWith('/') ? S_IFDIR | 0o755 : S_IFREG | 0o644);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    locals.push(local, name, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE((3 << 8) | 20, 4); // made by Unix, so the mode is read
+    central.writeUInt16LE(20, 6);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE((mode << 16) >>> 0, 38);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+
+    offset += local.length + name.length + data.length;
+  }
+
+  const centralDir = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(entries.length, 8);
+  eocd.writeUInt16LE(entries.length, 10);
+  eocd.writeUInt32LE(centralDir.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, centralDir, eocd]);
+}
@@ -0,0 +1,134 @@
+/**
+ * Minimal, dependency-free ZIP reader for the skills installer.
+ *
+ * Reads the archives build-skills.mjs writes (stored or deflated entries, no ZIP64,
+ * no encryption) from a Buffer. Entry names are checked before anything touches the
+ * disk: absolute paths, `..` segments, backslashes, drive letters and symlinks are
+ * rejected, so a hostile archive can't write outside the target folder (zip-slip).
+ */
+
+import { inflateRawSync } from 'node:zlib';
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const EOCD_MIN_BYTES = 22;
+const MAX_COMMENT_BYTES = 0xffff;
+
+// Skills are small; anything bigger than this is broken or a zip bomb.
+export const MAX_UNCOMPRESSED_BYTES = 256 * 1024 * 1024;
+
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+const S_IFDIR = 0o040000;
+
+let crcTable = null;
+
+export function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n += 1) {
+      let c = n;
+      for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i += 1) crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function findEndOfCentralDirectory(buffer) {
+  const stop = Math.max(0, buffer.length - EOCD_MIN_BYTES - MAX_COMMENT_BYTES);
+  for (let i = buffer.length - EOCD_MIN_BYTES; i >= stop; i -= 1) {
+    if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) return i;
+  }
+  throw new Error('Not a ZIP archive (end of central directory not found)');
+}
+
+/**
+ * Returns the normalized entry path, or throws if it could escape the extraction
+ * root. Directory entries keep no trailing slash.
+ */
+export function safeEntryPath(name) {
+  if (name.includes('\\')) throw new Error(`Unsafe ZIP entry (backslash): ${name}`);
+  if (name.includes('\0')) throw new Error(`Unsafe ZIP entry (NUL byte): ${JSON.stringify(name)}`);
+  if (name.startsWith('/') || /^[a-zA-Z]:/.test(name)) throw new Error(`Unsafe ZIP entry (absolute path): ${name}`);
+
+  const segments = name.split('/').filter((seg) => seg !== '' && seg !== '.');
+  if (segments.some((seg) => seg === '..')) throw new Error(`Unsafe ZIP entry (path traversal): ${name}`);
+  if (segments.length === 0) throw new Error(`Unsafe ZIP entry (empty path): ${JSON.stringify(name)}`);
+  return segments.join('/');
+}
+
+/**
+ * Parses a ZIP archive.
+ *
+ * Returns [{ path, isDirectory, executable, data }] in central-directory order.
+ * `data` is the uncompressed content (empty for directories); CRC-32 is verified.
+ */
+export function readZipEntries(buffer) {
+  const eocd = findEndOfCentralDirectory(buffer);
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  const centralSize = buffer.readUInt32LE(eocd + 12);
+  const centralOffset = buffer.readUInt32LE(eocd + 16);
+  if (entryCount === 0xffff || centralOffset === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+  if (centralOffset + centralSize > eocd) throw new Error('Corrupt ZIP (central directory out of range)');
+
+  const entries = [];
+  const seen = new Set();
+  let totalBytes = 0;
+  let offset = centralOffset;
+
+  for (let n = 0; n < entryCount; n += 1) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) throw new Error('Corrupt ZIP (bad central directory entry)');
+
+    const madeBy = buffer.readUInt16LE(offset + 4) >> 8;
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const crc = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const externalAttrs = buffer.readUInt32LE(offset + 38);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const rawName = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (flags & 0x1) throw new Error(`Encrypted ZIP entries are not supported: ${rawName}`);
+
+    // Unix mode lives in the high 16 bits when the archive was made on Unix (3).
+    const mode = madeBy === 3 ? externalAttrs >>> 16 : 0;
+    if ((mode & S_IFMT) === S_IFLNK) throw new Error(`Unsafe ZIP entry (symlink): ${rawName}`);
+
+    const entryPath = safeEntryPath(rawName);
+    const isDirectory = rawName.endsWith('/') || (mode & S_IFMT) === S_IFDIR;
+    if (seen.has(entryPath)) throw new Error(`Corrupt ZIP (duplicate entry): ${entryPath}`);
+    seen.add(entryPath);
+
+    if (isDirectory) {
+      entries.push({ path: entryPath, isDirectory: true, executable: false, data: Buffer.alloc(0) });
+      continue;
+    }
+
+    totalBytes += size;
+    if (totalBytes > MAX_UNCOMPRESSED_BYTES) throw new Error('ZIP expands beyond the size limit');
+
+    if (buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) throw new Error(`Corrupt ZIP (bad local header): ${entryPath}`);
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const compressed = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    let data;
+    if (method === 0) data = Buffer.from(compressed);
+    else if (method === 8) data = inflateRawSync(compressed, { maxOutputLength: Math.max(size, 1) });
+    else throw new Error(`Unsupported ZIP compression method ${method}: ${entryPath}`);
+
+    if (data.length !== size || crc32(data) !== crc) throw new Error(`Corrupt ZIP (checksum mismatch): ${entryPath}`);
+
+    entries.push({ path: entryPath, isDirectory: false, executable: (mode & 0o111) !== 0, data });
+  }
+
+  return entries;
+}
@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { makeZip } from './zip-fixture.mjs';
+import { readZipEntries, safeEntryPath } from './zip-reader.mjs';
+
+describe('safeEntryPath', () => {
+  it('normalizes plain paths and drops the trailing slash of directories', () => {
+    assert.equal(safeEntryPath('pdf/SKILL.md'), 'pdf/SKILL.md');
+    assert.equal(safeEntryPath('pdf/./scripts/'), 'pdf/scripts');
+  });
+
+  for (const [name, reason] of [
+    ['../evil.sh', 'path traversal'],
+    ['pdf/../../evil.sh', 'path traversal'],
+    ['/etc/passwd', 'absolute path'],
+    ['C:/Windows/evil.dll', 'absolute path'],
+    ['pdf\\..\\evil.sh', 'backslash'],
+    ['pdf/\0evil', 'NUL byte'],
+    ['./', 'empty path'],
+  ]) {
+    it(`rejects ${JSON.stringify(name)} (${reason})`, () => {
+      assert.throws(() => safeEntryPath(name), { message: new RegExp(`\\(${reason}\\)`) });
+    });
+  }
+});
+
+describe('readZipEntries', () => {
+  it('reads files and directories', () => {
+    const entries = readZipEntries(
+      makeZip([
+        { name: 'pdf/' },
+        { name: 'pdf/SKILL.md', data: '# PDF\n' },
+        { name: 'pdf/run.sh', data: 'echo hi\n', mode: 0o100755 },
+      ]),
+    );
+    assert.deepEqual(
+      entries.map(({ path, isDirectory, executable, data }) => [path, isDirectory, executable, data.toString('utf8')]),
+      [
+        ['pdf', true, false, ''],
+        ['pdf/SKILL.md', false, false, '# PDF\n'],
+        ['pdf/run.sh', false, true, 'echo hi\n'],
+      ],
+    );
+  });
+
+  it('rejects entries that escape the extraction root (zip-slip)', () => {
+    const zip = makeZip([{ name: 'pdf/SKILL.md', data: 'ok' }, { name: 'pdf/../../.bashrc', data: 'evil' }]);
+    assert.throws(() => readZipEntries(zip), { message: /path traversal/ });
+  });
+
+  it('rejects absolute entry names', () => {
+    assert.throws(() => readZipEntries(makeZip([{ name: '/tmp/evil', data: 'x' }])), { message: /absolute path/ });
+  });
+
+  it('rejects symlinks, whatever they point at', () => {
+    const zip = makeZip([{ name: 'pdf/link', data: 'SKILL.md', mode: 0o120777 }]);
+    assert.throws(() => readZipEntries(zip), { message: /symlink/ });
+  });
+
+  it('rejects duplicate entries that normalize to the same path', () => {
+    const zip = makeZip([{ name: 'pdf/SKILL.md', data: 'a' }, { name: 'pdf/./SKILL.md', data: 'b' }]);
+    assert.throws(() => readZipEntries(zip), { message: /duplicate entry/ });
+  });
+
+  it('rejects entries whose checksum does not match', () => {
+    const zip = makeZip([{ name: 'pdf/SKILL.md', data: 'original' }]);
+    zip[30 + 'pdf/SKILL.md'.length] ^= 0xff; // first data byte
+    assert.throws(() => readZipEntries(zip), { message: /checksum mismatch/ });
+  });
+
+  it('rejects data that is not a ZIP', () => {
+    assert.throws(() => readZipEntries(Buffer.alloc(64)), { message: /Not a ZIP archive/ });
+  });
+});
@@ -0,0 +1,449 @@
+#!/usr/bin/env node
+/**
+ * llmspec — command line access to the LLMSPEC catalogs.
+ *
+ * Usage:
+ *   llmspec skills list [--installed]        every published skill (or only installed ones)
+ *   llmspec skills search <terms…>           skills matching all terms
+ *   llmspec skills install <skill…>          install skills by folder name
+ *   llmspec skills install --bundle <id>     install every skill in a bundle
+ *   llmspec skills update [<skill…>]         reinstall installed skills whose ZIP changed
+ *   llmspec skills remove <skill…>           uninstall skills
+ *   llmspec skills outdated                  installed skills with a newer ZIP
+ *
+ *   llmspec definitions providers            every provider with model count and SDK package
+ *   llmspec definitions models [<filter…>]   models matching every filter (see definitions-query.mjs)
+ *   llmspec definitions show <provider/model>
+ *   llmspec definitions env <provider>       env var names and npm SDK package for a provider
+ *
+ * Options:
+ *   --source <url|dir>   site root to read from (default https://www.llmspec.dev,
+ *                        or $LLMSPEC_SOURCE). A directory such as website/public
+ *                        works offline.
+ *   --dir <path>         skills directory (default .claude/skills, or $LLMSPEC_SKILLS_DIR)
+ *   --force              replace skill folders that llmspec did not install
+ *   --json               machine-readable output (same as --format json)
+ *   --format <fmt>       definitions output: table (default), json or csv
+ *   --fields <a,b,…>     definitions models: columns to print, as dotted field paths
+ *   --manifest <file|url>  read definitions from this definitions.json instead of --source
+ *   --toml <dir>         read definitions straight from the TOML source
+ *                        (models.dev/providers), normalized like build-definitions.mjs
+ *   --overlay [name=]<dir>  with --toml: merge this overlay directory on top
+ *                        (repeatable, later wins; default $LLMSPEC_OVERLAYS)
+ *
+ * Exit codes: 0 = success, 1 = failure.
+ */
+
+import * as fsp from 'node:fs/promises';
+import path from 'node:path';
+
+import {
+  filterRecords,
+  findModel,
+  flattenModels,
+  flattenRecord,
+  formatCell,
+  getField,
+  parseFilter,
+  toCsv,
+} from './lib/definitions-query.mjs';
+import { loadProvidersFromToml, parseOverlayList, resolveOverlayDirs } from './lib/definitions-source.mjs';
+import {
+  DEFAULT_SKILLS_DIR,
+  DEFAULT_SOURCE,
+  installSkill,
+  installedStatus,
+  loadCatalog,
+  loadSearchText,
+  openSource,
+  readLockfile,
+  removeSkill,
+  searchSkills,
+  writeLockfile,
+} from './lib/skills-installer.mjs';
+
+const USAGE = [
+  'Usage: llmspec skills <list|search|install|update|remove|outdated> [args] [--source <url|dir>] [--dir <path>]',
+  '       llmspec definitions <providers|models|show|env> [args] [--toml <dir> [--overlay [name=]<dir>…] | --manifest <file|url>] [--format table|json|csv]',
+].join('\n');
+
+const OUTPUT_FORMATS = new Set(['table', 'json', 'csv']);
+
+// Default `definitions models` columns: [field path, table header].
+const MODEL_COLUMNS = [
+  ['provider', 'PROVIDER'],
+  ['id', 'MODEL'],
+  ['name', 'NAME'],
+  ['limit.context', 'CONTEXT'],
+  ['cost.input', 'INPUT $/1M'],
+  ['cost.output', 'OUTPUT $/1M'],
+];
+
+function warn(msg) {
+  console.warn(`\u001b[33m[warn]\u001b[0m ${msg}`);
+}
+
+function error(msg) {
+  console.error(`\u001b[31m[error]\u001b[0m ${msg}`);
+}
+
+function parseCliArgs(argv) {
+  const opts = {
+    positional: [],
+    source: process.env.LLMSPEC_SOURCE || DEFAULT_SOURCE,
+    dir: process.env.LLMSPEC_SKILLS_DIR || DEFAULT_SKILLS_DIR,
+    bundle: undefined,
+    installed: false,
+    force: false,
+    json: false,
+    format: 'table',
+    fields: undefined,
+    manifest: undefined,
+    toml: undefined,
+    overlays: undefined,
+  };
+  const valueFlags = {
+    '--source': 'source',
+    '--dir': 'dir',
+    '--bundle': 'bundle',
+    '--format': 'format',
+    '--fields': 'fields',
+    '--manifest': 'manifest',
+    '--toml': 'toml',
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    const [flag, inline] = arg.split(/=(.*)/s, 2);
+    if (flag === '--overlay') {
+      const value = inline ?? argv[i + 1];
+      if (!value) throw new Error(`Missing value for ${flag}`);
+      (opts.overlays ??= []).push(value);
+      if (inline === undefined) i += 1;
+    } else if (flag in valueFlags) {
+      const value = inline ?? argv[i + 1];
+      if (!value) throw new Error(`Missing value for ${flag}`);
+      opts[valueFlags[flag]] = value;
+      if (inline === undefined) i += 1;
+    } else if (arg === '--installed') opts.installed = true;
+    else if (arg === '--force') opts.force = true;
+    else if (arg === '--json') opts.json = true;
+    else if (arg === '--help' || arg === '-h') opts.positional.unshift('help');
+    else if (arg.startsWith('--')) throw new Error(`Unknown argument: ${arg}`);
+    else opts.positional.push(arg);
+  }
+
+  if (opts.json) opts.format = 'json';
+  if (!OUTPUT_FORMATS.has(opts.format)) throw new Error(`Unknown --format: ${opts.format} (expected table, json or csv)`);
+  if (opts.toml && opts.manifest) throw new Error('Use either --toml or --manifest, not both');
+  if (opts.overlays && !opts.toml) throw new Error('--overlay only applies to --toml');
+  opts.overlays ??= parseOverlayList(process.env.LLMSPEC_OVERLAYS);
+  return opts;
+}
+
+function truncate(str, maxChars) {
+  if (str.length <= maxChars) return str;
+  return `${str.slice(0, maxChars - 1)}…`;
+}
+
+function printTable(rows, columns) {
+  // Plain aligned columns; the last column is free-width.
+  const widths = columns.map((c, i) =>
+    i === columns.length - 1 ? 0 : Math.max(c.length, ...rows.map((r) => String(r[i]).length)),
+  );
+  const line = (cells) => cells.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd();
+  console.log(line(columns));
+  for (const row of rows) console.log(line(row));
+}
+
+function printSkills(skills, { json, installedByFolder }) {
+  if (json) {
+    console.log(JSON.stringify(skills, null, 2));
+    return;
+  }
+  if (skills.length === 0) {
+    console.log('No skills found.');
+    return;
+  }
+  printTable(
+    skills.map((s) => [
+      s.folder,
+      s.group,
+      installedByFolder.has(s.folder) ? (installedByFolder.get(s.folder) === 'current' ? 'installed' : 'outdated') : '',
+      truncate(String(s.description ?? '').replace(/\s+/g, ' '), 80),
+    ]),
+    ['SKILL', 'GROUP', 'STATUS', 'DESCRIPTION'],
+  );
+}
+
+function resolveRequested(catalog, names) {
+  const byFolder = new Map(catalog.skills.map((s) => [s.folder, s]));
+  const byName = new Map(catalog.skills.map((s) => [s.name, s]));
+  return names.map((name) => {
+    const skill = byFolder.get(name) ?? byName.get(name);
+    if (!skill) throw new Error(`Unknown skill: ${name} (try "llmspec skills search ${name}")`);
+    return skill;
+  });
+}
+
+function displayPath(p) {
+  const rel = path.relative(process.cwd(), p);
+  return rel.startsWith('..') ? p : rel || '.';
+}
+
+async function runSkills(command, args, opts) {
+  const dirAbs = path.resolve(process.cwd(), opts.dir);
+  const source = openSource(opts.source);
+
+  if (command === 'remove') {
+    if (args.length === 0) throw new Error('Usage: llmspec skills remove <skill…>');
+    const lock = await readLockfile(dirAbs);
+    for (const folder of args) {
+      await removeSkill({ folder, dirAbs, lock });
+      console.log(`Removed ${folder}`);
+    }
+    await writeLockfile(dirAbs, lock);
+    return;
+  }
+
+  const catalog = await loadCatalog(source);
+  const lock = await readLockfile(dirAbs);
+  const statuses = installedStatus(catalog.skills, lock);
+  const installedByFolder = new Map(statuses.map((s) => [s.folder, s.status]));
+
+  if (command === 'list') {
+    const skills = opts.installed ? catalog.skills.filter((s) => installedByFolder.has(s.folder)) : catalog.skills;
+    printSkills(skills, { json: opts.json, installedByFolder });
+    return;
+  }
+
+  if (command === 'search') {
+    if (args.length === 0) throw new Error('Usage: llmspec skills search <terms…>');
+    const searchText = await loadSearchText(source);
+    printSkills(searchSkills(catalog.skills, args.join(' '), searchText), { json: opts.json, installedByFolder });
+    return;
+  }
+
+  if (command === 'outdated') {
+    const pending = statuses.filter((s) => s.status !== 'current');
+    if (opts.json) {
+      console.log(JSON.stringify(pending, null, 2));
+    } else if (pending.length === 0) {
+      console.log(`All ${statuses.length} installed skills are up to date.`);
+    } else {
+      printTable(
+        pending.map((s) => [s.folder, s.status, s.installed.sha256.slice(0, 12), s.available?.sha256.slice(0, 12) ?? '—']),
+        ['SKILL', 'STATUS', 'INSTALLED', 'AVAILABLE'],
+      );
+    }
+    return;
+  }
+
+  if (command === 'install') {
+    let requested = resolveRequested(catalog, args);
+    if (opts.bundle) {
+      const bundle = catalog.bundles.find((b) => b.id === opts.bundle);
+      if (!bundle) throw new Error(`Unknown bundle: ${opts.bundle} (available: ${catalog.bundles.map((b) => b.id).join(', ')})`);
+      requested = [...requested, ...resolveRequested(catalog, bundle.skills)];
+    }
+    if (requested.length === 0) throw new Error('Usage: llmspec skills install <skill…> | --bundle <id>');
+
+    const unique = [...new Map(requested.map((s) => [s.folder, s])).values()];
+    let failures = 0;
+    for (const skill of unique) {
+      try {
+        const entry = await installSkill({ source, skill, dirAbs, lock, force: opts.force });
+        console.log(`Installed ${skill.folder} (${entry.files.length} files) → ${displayPath(dirAbs)}`);
+      } catch (err) {
+        failures += 1;
+        error(err instanceof Error ? err.message : String(err));
+      }
+    }
+    await writeLockfile(dirAbs, lock);
+    if (failures > 0) throw new Error(`${failures} of ${unique.length} skills failed to install`);
+    return;
+  }
+
+  if (command === 'update') {
+    const wanted = new Set(args);
+    for (const name of wanted) {
+      if (!installedByFolder.has(name)) throw new Error(`${name} is not installed by llmspec in ${dirAbs}`);
+    }
+
+    let updated = 0;
+    let failures = 0;
+    for (const s of statuses) {
+      if (wanted.size > 0 && !wanted.has(s.folder)) continue;
+      if (s.status === 'missing') {
+        warn(`${s.folder} is no longer published; leaving the installed copy alone`);
+        continue;
+      }
+      if (s.status !== 'outdated') continue;
+      try {
+        await installSkill({ source, skill: s.available, dirAbs, lock });
+        console.log(`Updated ${s.folder}`);
+        updated += 1;
+      } catch (err) {
+        failures += 1;
+        error(err instanceof Error ? err.message : String(err));
+      }
+    }
+    await writeLockfile(dirAbs, lock);
+    if (failures > 0) throw new Error(`${failures} skills failed to update`);
+    if (updated === 0) console.log('Everything is up to date.');
+    return;
+  }
+
+  throw new Error(`Unknown skills command: ${command}\n${USAGE}`);
+}
+
+async function readManifest(location) {
+  if (/^https?:\/\//i.test(location)) {
+    const res = await fetch(location);
+    if (!res.ok) throw new Error(`Failed to fetch ${location} (${res.status})`);
+    return await res.json();
+  }
+  return JSON.parse(await fsp.readFile(path.resolve(process.cwd(), location), 'utf8'));
+}
+
+/**
+ * Providers (with models) from --toml, --manifest or the site at --source.
+ */
+async function loadDefinitions(opts) {
+  if (opts.toml) {
+    const providersDirAbs = path.resolve(process.cwd(), opts.toml);
+    const st = await fsp.stat(providersDirAbs).catch(() => null);
+    if (!st?.isDirectory()) throw new Error(`TOML source directory not found: ${providersDirAbs}`);
+
+    // Data problems are build-definitions' business; a query only mentions how many.
+    let issues = 0;
+    const providers = await loadProvidersFromToml(providersDirAbs, {
+      overlays: resolveOverlayDirs(opts.overlays),
+      reportIssue: () => (issues += 1),
+      warn,
+    });
+    if (issues > 0) warn(`${issues} validation issues in ${displayPath(providersDirAbs)} (run build-definitions.mjs for details)`);
+    return providers;
+  }
+
+  const manifest = opts.manifest
+    ? await readManifest(opts.manifest)
+    : JSON.parse((await openSource(opts.source).readBytes('/definitions/definitions.json')).toString('utf8'));
+  if (!Array.isArray(manifest?.providers)) throw new Error('Not a definitions manifest (no providers array)');
+  return manifest.providers;
+}
+
+function printRecords({ format, rows, columns, headers = columns, json, empty }) {
+  if (format === 'json') {
+    console.log(JSON.stringify(json, null, 2));
+  } else if (format === 'csv') {
+    process.stdout.write(toCsv(rows, columns));
+  } else if (rows.length === 0) {
+    console.log(empty);
+  } else {
+    printTable(
+      rows.map((row) => row.map(formatCell)),
+      headers,
+    );
+  }
+}
+
+async function runDefinitions(command, args, opts) {
+  const providers = await loadDefinitions(opts);
+  const { format } = opts;
+
+  if (command === 'providers') {
+    const summaries = providers.map(({ models, ...provider }) => provider);
+    printRecords({
+      format,
+      rows: summaries.map((p) => [p.id, p.name, p.model_count, p.npm, p.env, p.doc]),
+      columns: ['id', 'name', 'model_count', 'npm', 'env', 'doc'],
+      headers: ['PROVIDER', 'NAME', 'MODELS', 'NPM', 'ENV', 'DOC'],
+      json: summaries,
+      empty: 'No providers found.',
+    });
+    return;
+  }
+
+  if (command === 'models') {
+    const filters = args.map(parseFilter);
+    const models = filterRecords(flattenModels(providers), filters);
+    const columns = opts.fields
+      ? opts.fields
+          .split(',')
+          .map((f) => f.trim())
+          .filter(Boolean)
+          .map((f) => [f, f])
+      : MODEL_COLUMNS;
+    const rows = models.map((m) => columns.map(([field]) => getField(m, field)));
+
+    printRecords({
+      format,
+      rows,
+      columns: columns.map(([field]) => field),
+      headers: columns.map(([, header]) => header),
+      json: opts.fields ? rows.map((row) => Object.fromEntries(columns.map(([field], i) => [field, row[i] ?? null]))) : models,
+      empty: 'No models match.',
+    });
+    if (format === 'table' && models.length > 0) console.log(`\n${models.length} models`);
+    return;
+  }
+
+  if (command === 'show') {
+    if (args.length !== 1) throw new Error('Usage: llmspec definitions show <provider>/<model>');
+    const model = findModel(providers, args[0]);
+    const fields = flattenRecord(model);
+    printRecords({ format, rows: fields, columns: ['field', 'value'], headers: ['FIELD', 'VALUE'], json: model });
+    return;
+  }
+
+  if (command === 'env') {
+    if (args.length !== 1) throw new Error('Usage: llmspec definitions env <provider>');
+    const provider = providers.find((p) => p.id === args[0]);
+    if (!provider) throw new Error(`Unknown provider: ${args[0]} (try "llmspec definitions providers")`);
+    if (!Array.isArray(provider.env)) {
+      // Older manifests only carry npm; the TOML source always has env.
+      warn('This manifest does not list env var names; use --toml <dir> to read them from the source');
+    }
+
+    const env = provider.env ?? [];
+    printRecords({
+      format,
+      rows: [...env.map((name) => ['env', name]), ['npm', provider.npm]],
+      columns: ['kind', 'value'],
+      headers: ['KIND', 'VALUE'],
+      json: { id: provider.id, name: provider.name, env, npm: provider.npm, doc: provider.doc },
+    });
+    return;
+  }
+
+  throw new Error(`Unknown definitions command: ${command}\n${USAGE}`);
+}
+
+async function main() {
+  const opts = parseCliArgs(process.argv.slice(2));
+  const [area, command, ...args] = opts.positional;
+
+  if (!area || area === 'help') {
+    console.log(USAGE);
+    return;
+  }
+  if (area === 'skills') {
+    if (!command) throw new Error(USAGE);
+    await runSkills(command, args, opts);
+    return;
+  }
+  if (area === 'definitions') {
+    if (!command) throw new Error(USAGE);
+    await runDefinitions(command, args, opts);
+    return;
+  }
+  throw new Error(`Unknown command: ${area}\n${USAGE}`);
+}
+
+try {
+  await main();
+} catch (err) {
+  error(err instanceof Error ? err.message : String(err));
+  process.exitCode = 1;
+}
@@ -0,0 +1,388 @@
+#!/usr/bin/env node
+/**
+ * MCP server (stdio) exposing the LLMSPEC skills and model definitions to agents.
+ *
+ * Reads the catalogs the build scripts write to src/data/ (skills-catalog.json,
+ * definitions-catalog.json) and SKILL.md files straight from skills/, so run
+ * `npm run prebuild` first. Catalogs are re-read when they change on disk, so a
+ * long-running server picks up a rebuild without a restart.
+ *
+ * Tools:
+ *   search_models      models matching filters (same syntax as `llmspec definitions models`)
+ *   get_model          one model by "<provider>/<model>", with provider env vars and SDK
+ *   compare_models     2–6 models side by side (Markdown table)
+ *   search_skills      skills matching all terms (name, description, tags, SKILL.md text)
+ *   get_skill_content  SKILL.md or any other packaged file of a skill
+ *
+ * Resources: skill://<group>/<skill>/SKILL.md for every skill (listed), and
+ * skill://<group>/<skill>/<path> for the other packaged files (template).
+ *
+ * Usage (from website/): node scripts/mcp-server.mjs
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { filterRecords, findModel, flattenModels, formatCell, getField, parseFilter } from './lib/definitions-query.mjs';
+import { createMcpServer } from './lib/mcp-stdio.mjs';
+import { searchSkills } from './lib/skills-installer.mjs';
+
+const VERSION = '1.0.0';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const websiteDir = path.resolve(__dirname, '..');
+const repoRootDir = path.resolve(websiteDir, '..');
+const skillsRootDir = path.resolve(repoRootDir, 'skills');
+const skillsCatalogPath = path.resolve(websiteDir, 'src', 'data', 'skills-catalog.json');
+const definitionsCatalogPath = path.resolve(websiteDir, 'src', 'data', 'definitions-catalog.json');
+const searchIndexPath = path.resolve(websiteDir, 'public', 'skills', 'search-index.json');
+
+const DEFAULT_MODEL_LIMIT = 25;
+const DEFAULT_SKILL_LIMIT = 10;
+
+// compare_models rows: [field path, label].
+const COMPARE_FIELDS = [
+  ['provider_name', 'Provider'],
+  ['family', 'Family'],
+  ['release_date', 'Released'],
+  ['knowledge', 'Knowledge cutoff'],
+  ['limit.context', 'Context window'],
+  ['limit.output', 'Max output'],
+  ['cost.input', 'Input $/1M'],
+  ['cost.output', 'Output $/1M'],
+  ['cost.cache_read', 'Cache read $/1M'],
+  ['cost.cache_write', 'Cache write $/1M'],
+  ['reasoning', 'Reasoning'],
+  ['tool_call', 'Tool calling'],
+  ['structured_output', 'Structured output'],
+  ['attachment', 'Attachments'],
+  ['open_weights', 'Open weights'],
+  ['modalities.input', 'Input modalities'],
+  ['modalities.output', 'Output modalities'],
+  ['status', 'Status'],
+  ['lifecycle.deprecation_date', 'Deprecation'],
+  ['lifecycle.retirement_date', 'Retirement'],
+  ['lifecycle.successor', 'Successor'],
+];
+
+const TEXT_MIME_TYPES = {
+  '.md': 'text/markdown',
+  '.py': 'text/x-python',
+  '.js': 'text/javascript',
+  '.mjs': 'text/javascript',
+  '.ts': 'text/typescript',
+  '.json': 'application/json',
+  '.html': 'text/html',
+  '.xml': 'application/xml',
+  '.xsd': 'application/xml',
+  '.yaml': 'application/yaml',
+  '.yml': 'application/yaml',
+  '.csv': 'text/csv',
+  '.sh': 'text/x-shellscript',
+};
+
+function warn(msg) {
+  console.warn(`\u001b[33m[warn]\u001b[0m ${msg}`);
+}
+
+function error(msg) {
+  console.error(`\u001b[31m[error]\u001b[0m ${msg}`);
+}
+
+const jsonCache = new Map();
+
+/**
+ * Parsed JSON, re-read only when the file's mtime changes.
+ * `optional` files that are missing read as undefined instead of throwing.
+ */
+function readJsonCached(fileAbs, { optional = false } = {}) {
+  let stat;
+  try {
+    stat = fs.statSync(fileAbs);
+  } catch {
+    if (optional) return undefined;
+    throw new Error(
+      `${path.relative(websiteDir, fileAbs)} not found. Run \`npm run prebuild\` in website/ to generate the catalogs.`,
+    );
+  }
+  const cached = jsonCache.get(fileAbs);
+  if (cached && cached.mtimeMs === stat.mtimeMs) return cached.value;
+
+  const value = JSON.parse(fs.readFileSync(fileAbs, 'utf8'));
+  jsonCache.set(fileAbs, { mtimeMs: stat.mtimeMs, value });
+  return value;
+}
+
+function loadProviders() {
+  return readJsonCached(definitionsCatalogPath).providers ?? [];
+}
+
+function loadSkills() {
+  const catalog = readJsonCached(skillsCatalogPath);
+  const skills = (catalog.groups ?? []).flatMap((group) =>
+    (group.skills ?? []).map((skill) => ({ ...skill, group: group.slug })),
+  );
+  return { baseUrl: String(catalog.base_url ?? '').replace(/\/+$/, ''), skills };
+}
+
+function loadSearchText() {
+  // Built into public/ by build-skills.mjs; without it search covers catalog fields only.
+  const index = readJsonCached(searchIndexPath, { optional: true });
+  return new Map((index?.skills ?? []).map((doc) => [doc.folder, `${(doc.headings ?? []).join(' ')} ${doc.body ?? ''}`]));
+}
+
+function findSkill(skills, name) {
+  const skill = skills.find((s) => s.folder === name) ?? skills.find((s) => s.name === name);
+  if (!skill) throw new Error(`Unknown skill: ${name} (use search_skills to find one)`);
+  return skill;
+}
+
+function skillUri(skill, filePath = 'SKILL.md') {
+  return `skill://${skill.group}/${skill.folder}/${filePath}`;
+}
+
+function isBinary(buffer) {
+  return buffer.subarray(0, 8000).includes(0);
+}
+
+/**
+ * A packaged file of a skill. Only paths listed in the catalog (i.e. in the ZIP)
+ * are served, which also keeps reads inside the skill's source directory.
+ */
+function readSkillFile(skill, filePath) {
+  const files = (skill.files ?? []).map((f) => f.path);
+  if (!files.includes(filePath)) {
+    throw new Error(`${skill.folder} has no file ${JSON.stringify(filePath)}. Files: ${files.join(', ')}`);
+  }
+  const buffer = fs.readFileSync(path.resolve(skillsRootDir, skill.source_dir, filePath));
+  const mimeType = TEXT_MIME_TYPES[path.extname(filePath).toLowerCase()] ?? 'text/plain';
+  return isBinary(buffer) ? { mimeType: 'application/octet-stream', buffer } : { mimeType, text: buffer.toString('utf8') };
+}
+
+function modelSummary(model) {
+  return {
+    ref: `${model.provider}/${model.id}`,
+    name: model.name,
+    provider_name: model.provider_name,
+    family: model.family,
+    release_date: model.release_date,
+    context: model.limit?.context,
+    max_output: model.limit?.output,
+    cost_input: model.cost?.input,
+    cost_output: model.cost?.output,
+    reasoning: model.reasoning,
+    tool_call: model.tool_call,
+    input_modalities: model.modalities?.input,
+  };
+}
+
+function markdownCell(value) {
+  const text = formatCell(value);
+  return text === '' ? '—' : text.replace(/\|/g, '\\|');
+}
+
+const tools = [
+  {
+    name: 'search_models',
+    description:
+      'Search LLM model definitions (pricing, context limits, capabilities) across providers. ' +
+      'Filters are dotted field paths with an operator: "provider=openai", "cost.input<1", ' +
+      '"limit.context>=200000", "name~sonnet" (substring), "reasoning" (true), "!open_weights" (false). ' +
+      'All filters must match. Returns a summary per model; use get_model for the full record.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        filters: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Filter expressions, e.g. ["tool_call", "cost.input<=3", "modalities.input~image"].',
+        },
+        limit: { type: 'integer', minimum: 1, maximum: 500, description: `Maximum results (default ${DEFAULT_MODEL_LIMIT}).` },
+      },
+      additionalProperties: false,
+    },
+    handler({ filters = [], limit = DEFAULT_MODEL_LIMIT }) {
+      const matches = filterRecords(flattenModels(loadProviders()), filters.map(parseFilter));
+      return { total: matches.length, models: matches.slice(0, limit).map(modelSummary) };
+    },
+  },
+  {
+    name: 'get_model',
+    description:
+      'Full definition of one model: limits, per-million-token costs, modalities, capabilities, ' +
+      'plus the provider\'s API key env vars, npm SDK package and docs URL.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ref: { type: 'string', description: '"<provider>/<model>", e.g. "anthropic/claude-sonnet-4-5".' },
+      },
+      required: ['ref'],
+      additionalProperties: false,
+    },
+    handler({ ref }) {
+      const providers = loadProviders();
+      const model = findModel(providers, ref);
+      const provider = providers.find((p) => p.id === model.provider);
+      return {
+        ...model,
+        provider_env: provider?.env ?? [],
+        provider_npm: provider?.npm ?? null,
+        provider_doc: provider?.doc ?? null,
+        ...(provider?.api ? { provider_api: provider.api } : {}),
+      };
+    },
+  },
+  {
+    name: 'compare_models',
+    description: 'Compare 2–6 models side by side (context, output limit, costs, capabilities, modalities) as a Markdown table.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        refs: {
+          type: 'array',
+          items: { type: 'string' },
+          minItems: 2,
+          maxItems: 6,
+          uniqueItems: true,
+          description: 'Model refs as "<provider>/<model>".',
+        },
+      },
+      required: ['refs'],
+      additionalProperties: false,
+    },
+    handler({ refs }) {
+      const providers = loadProviders();
+      const models = refs.map((ref) => findModel(providers, ref));
+      const lines = [
+        `| Field | ${refs.map(markdownCell).join(' | ')} |`,
+        `| --- | ${refs.map(() => '---').join(' | ')} |`,
+        ...COMPARE_FIELDS.map(
+          ([field, label]) => `| ${label} | ${models.map((m) => markdownCell(getField(m, field))).join(' | ')} |`,
+        ),
+      ];
+      return lines.join('\n');
+    },
+  },
+  {
+    name: 'search_skills',
+    description:
+      'Search agent skills (packaged SKILL.md instructions plus scripts and references) by keywords. ' +
+      'Every term must appear in the name, description, group, tags or SKILL.md text. ' +
+      'Load a result with get_skill_content.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Space-separated terms, e.g. "pdf forms".' },
+        group: { type: 'string', description: 'Only skills in this group (slug, e.g. "office").' },
+        limit: { type: 'integer', minimum: 1, maximum: 100, description: `Maximum results (default ${DEFAULT_SKILL_LIMIT}).` },
+      },
+      required: ['query'],
+      additionalProperties: false,
+    },
+    handler({ query, group, limit = DEFAULT_SKILL_LIMIT }) {
+      const { baseUrl, skills } = loadSkills();
+      const inGroup = group ? skills.filter((s) => s.group === group) : skills;
+      const matches = searchSkills(inGroup, query, loadSearchText());
+      return {
+        total: matches.length,
+        skills: matches.slice(0, limit).map((skill) => ({
+          skill: skill.folder,
+          name: skill.name,
+          group: skill.group,
+          description: skill.description,
+          resource: skillUri(skill),
+          page: `${baseUrl}/skills/${skill.group}/${skill.folder}/`,
+          file_count: skill.file_count,
+        })),
+      };
+    },
+  },
+  {
+    name: 'get_skill_content',
+    description:
+      'Text of a skill file. Defaults to SKILL.md, which ends with the list of the skill\'s other ' +
+      'files (scripts, references) that can be loaded by passing their path.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        skill: { type: 'string', description: 'Skill folder (e.g. "pdf") or frontmatter name.' },
+        path: { type: 'string', description: 'File inside the skill, e.g. "references/forms.md". Default "SKILL.md".' },
+      },
+      required: ['skill'],
+      additionalProperties: false,
+    },
+    handler({ skill: name, path: filePath = 'SKILL.md' }) {
+      const skill = findSkill(loadSkills().skills, name);
+      const file = readSkillFile(skill, filePath);
+      if (file.buffer) {
+        throw new Error(`${filePath} is a binary file; download the skill ZIP instead: ${skill.download_url}`);
+      }
+      if (filePath !== 'SKILL.md') return file.text;
+
+      const others = (skill.files ?? []).map((f) => f.path).filter((p) => p !== 'SKILL.md');
+      if (others.length === 0) return file.text;
+      return `${file.text.trimEnd()}\n\n---\nOther files in this skill (get_skill_content with "path"):\n${others.map((p) => `- ${p}`).join('\n')}\n`;
+    },
+  },
+];
+
+const resources = {
+  list() {
+    return loadSkills().skills.map((skill) => ({
+      uri: skillUri(skill),
+      name: `${skill.folder}/SKILL.md`,
+      title: skill.name,
+      description: skill.description,
+      mimeType: 'text/markdown',
+    }));
+  },
+
+  templates: [
+    {
+      uriTemplate: 'skill://{group}/{skill}/{+path}',
+      name: 'skill-file',
+      description: 'Any file packaged in a skill (scripts, references, templates).',
+    },
+  ],
+
+  read(uri) {
+    const match = /^skill:\/\/([^/]+)\/([^/]+)\/(.+)$/.exec(uri);
+    if (!match) return undefined;
+    const [, group, folder, filePath] = match;
+    const skill = loadSkills().skills.find((s) => s.group === group && s.folder === folder);
+    if (!skill || !(skill.files ?? []).some((f) => f.path === filePath)) return undefined;
+
+    const file = readSkillFile(skill, filePath);
+    return file.buffer ? { mimeType: file.mimeType, blob: file.buffer.toString('base64') } : file;
+  },
+};
+
+async function main() {
+  // Fail at startup rather than on the first tool call.
+  for (const catalogPath of [skillsCatalogPath, definitionsCatalogPath]) readJsonCached(catalogPath);
+  if (!fs.existsSync(searchIndexPath)) {
+    warn('public/skills/search-index.json not found; search_skills will not search SKILL.md text.');
+  }
+
+  const server = createMcpServer({
+    name: 'llmspec',
+    version: VERSION,
+    instructions:
+      'LLMSPEC catalogs. For models: search_models to shortlist, get_model for details, compare_models ' +
+      'to decide. For skills: search_skills, then get_skill_content to load SKILL.md and, as it directs, ' +
+      'its reference files.',
+    tools,
+    resources,
+  });
+  await server.listen();
+}
+
+try {
+  await main();
+} catch (err) {
+  error(err instanceof Error ? err.message : String(err));
+  process.exitCode = 1;
+}
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/**
+ * Validates a published manifest (skills.json, definitions.json, …) against its
+ * JSON Schema. Works on local files and on URLs.
+ *
+ * Usage:
+ *   node scripts/validate-manifest.mjs <manifest> [--schema <schema>]
+ *
+ * <manifest> / <schema> may be file paths or http(s) URLs. When --schema is
+ * omitted, the sibling "schema.json" next to the manifest is used — that's
+ * where both build scripts publish it.
+ *
+ * Exit codes: 0 = valid, 1 = violations or failure.
+ */
+
+import * as fsp from 'node:fs/promises';
+import path from 'node:path';
+
+import { validateAgainstSchema } from './lib/json-schema.mjs';
+
+function warn(msg) {
+  console.warn(`\u001b[33m[warn]\u001b[0m ${msg}`);
+}
+
+function error(msg) {
+  console.error(`\u001b[31m[error]\u001b[0m ${msg}`);
+}
+
+function isUrl(value) {
+  return /^https?:\/\//i.test(value);
+}
+
+async function loadJson(location) {
+  if (isUrl(location)) {
+    const res = await fetch(location);
+    if (!res.ok) throw new Error(`Failed to fetch ${location} (${res.status})`);
+    return await res.json();
+  }
+  const raw = await fsp.readFile(path.resolve(process.cwd(), location), 'utf8');
+  return JSON.parse(raw);
+}
+
+function siblingSchemaLocation(manifestLocation) {
+  if (isUrl(manifestLocation)) return new URL('schema.json', manifestLocation).toString();
+  return path.join(path.dirname(manifestLocation), 'schema.json');
+}
+
+function parseCliArgs(argv) {
+  const opts = { manifest: undefined, schema: undefined };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--schema') {
+      opts.schema = argv[i + 1];
+      if (!opts.schema) throw new Error('Missing value for --schema');
+      i += 1;
+    } else if (arg.startsWith('--schema=')) {
+      opts.schema = arg.slice('--schema='.length);
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown argument: ${arg}`);
+    } else if (!opts.manifest) {
+      opts.manifest = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  if (!opts.manifest) {
+    throw new Error('Usage: node scripts/validate-manifest.mjs <manifest> [--schema <schema>]');
+  }
+  opts.schema ??= siblingSchemaLocation(opts.manifest);
+  return opts;
+}
+
+async function main() {
+  const opts = parseCliArgs(process.argv.slice(2));
+
+  const [manifest, schema] = await Promise.all([loadJson(opts.manifest), loadJson(opts.schema)]);
+  const errors = validateAgainstSchema(schema, manifest, { maxErrors: 1000 });
+
+  console.log(`Manifest: ${opts.manifest}`);
+  console.log(`Schema:   ${opts.schema}`);
+
+  if (errors.length === 0) {
+    console.log('Valid:    yes');
+    return;
+  }
+
+  for (const e of errors) warn(`${e.path}: ${e.message}`);
+  error(`${errors.length}${errors.length >= 1000 ? '+' : ''} schema violation(s) in ${opts.manifest}`);
+  process.exitCode = 1;
+}
+
+try {
+  await main();
+} catch (err) {
+  error('validate-manifest.mjs failed');
+  console.error(err instanceof Error ? err.stack ?? err.message : String(err));
+  process.exitCode = 1;
+}
@@ -0,0 +1,15 @@
+import { defineCollection } from 'astro:content';
+import { glob } from 'astro/loaders';
+
+// Markdown from the repository's skills/ folder (SKILL.md plus bundled references),
+// rendered on /skills/<group>/<skill>/. Ids are the source paths, e.g.
+// "Office/pptx/SKILL.md", matching `source_dir` in src/data/skills-catalog.json.
+const skillDocs = defineCollection({
+  loader: glob({
+    pattern: '**/*.md',
+    base: '../skills',
+    generateId: ({ entry }) => entry,
+  }),
+});
+
+export const collections = { skillDocs };